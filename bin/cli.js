@@ -28,6 +28,42 @@ yargs(hideBin(process.argv))
        type: 'number',
        desc: 'Custom port for browser debugging (overrides defaults)'
      })
+     .option('host', {
+       alias: 'H',
+       type: 'string',
+       desc: 'Host serving the debugging port, e.g. a VM or dev container (default: ANY_BROWSER_HOST or localhost)'
+     })
+     .option('scan-ports', {
+       type: 'string',
+       desc: 'Also scan this port range for Chromium-family browsers, e.g. 9222-9300 (at most 256 ports)'
+     })
+     .option('isolated', {
+       boolean: true,
+       default: false,
+       desc: 'Work in a private browser context instead of your open tabs'
+     })
+     .option('max-contexts', {
+       type: 'number',
+       default: 10,
+       desc: 'Maximum number of isolated session contexts'
+     })
+     .option('session-timeout', {
+       type: 'number',
+       default: 30,
+       desc: 'Close isolated session contexts after this many idle minutes'
+     })
+     .option('profile', {
+       type: 'string',
+       desc: 'Launch profile to use when launching a browser (see --profiles-config)'
+     })
+     .option('profiles-config', {
+       type: 'string',
+       desc: 'Launch profiles file (default: ANY_BROWSER_PROFILES or ~/.config/any-browser-mcp/profiles.json)'
+     })
+     .option('headless', {
+       boolean: true,
+       desc: 'Launch browsers without a window (default: headless only when no display is available)'
+     })
      .option('verbose', {
        alias: 'v',
        boolean: true,
@@ -41,6 +77,14 @@ yargs(hideBin(process.argv))
           browserPref: argv.browser,
           allowLaunch: argv.launch,
           customPort: argv.port,
+          host: argv.host,
+          scanPorts: argv.scanPorts,
+          isolated: argv.isolated,
+          maxContexts: argv.maxContexts,
+          idleTimeout: argv.sessionTimeout * 60 * 1000,
+          profile: argv.profile,
+          profilesConfig: argv.profilesConfig,
+          headless: argv.headless,
           verbose: argv.verbose
         });
       } catch (error) {
@@ -56,4 +100,8 @@ yargs(hideBin(process.argv))
   .example('$0 --launch', 'Launch browser if none found')
   .example('$0 --endpoint ws://127.0.0.1:9222/devtools/browser', 'Connect to specific endpoint')
   .example('$0 --browser firefox --port 9224', 'Connect to Firefox on custom port')
+  .example('$0 --host devbox.local --port 9222', 'Connect to a browser running in a VM or container')
+  .example('$0 --scan-ports 9222-9300', 'Find browsers on non-default debugging ports')
+  .example('$0 --launch --profile work', 'Launch the "work" profile when no browser is running')
+  .example('$0 --launch --headless', 'Launch a headless browser (CI)')
   .argv;
@@ -29,9 +29,28 @@ async function main() {
       default: 9222,
       desc: 'Chrome debugging port (default: 9222)'
     })
+    .option('host', {
+      alias: 'H',
+      type: 'string',
+      desc: 'Chrome debugging host (default: ANY_BROWSER_HOST or localhost)'
+    })
+    .option('profile', {
+      type: 'string',
+      desc: 'Launch profile to use when Chrome has to be launched'
+    })
+    .option('profiles-config', {
+      type: 'string',
+      desc: 'Launch profiles file (default: ANY_BROWSER_PROFILES or ~/.config/any-browser-mcp/profiles.json)'
+    })
+    .option('headless', {
+      boolean: true,
+      desc: 'Launch Chrome without a window if it is not running (default: headless only when no display is available)'
+    })
     .example('$0', 'Start MCP server with default settings')
     .example('$0 --verbose', 'Start with verbose logging')
     .example('$0 --port 9223', 'Use custom debugging port')
+    .example('$0 --host 192.168.1.20', 'Control Chrome running on another machine')
+    .example('$0 --profile work', 'Launch Chrome with the "work" launch profile if it is not running')
     .epilogue(`
 🌐 Any Browser MCP - Direct CDP Edition
 
@@ -70,7 +89,11 @@ This is the real deal - it controls your actual browser, not a separate instance
 
     await startDirectMCPServer({
       verbose: argv.verbose,
-      port: argv.port
+      port: argv.port,
+      host: argv.host,
+      profile: argv.profile,
+      profilesConfig: argv.profilesConfig,
+      headless: argv.headless
     });
 
   } catch (error) {
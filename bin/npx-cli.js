@@ -37,6 +37,42 @@ yargs(hideBin(process.argv))
        type: 'number',
        desc: 'Custom debugging port'
      })
+     .option('host', {
+       alias: 'H',
+       type: 'string',
+       desc: 'Debugging host (default: ANY_BROWSER_HOST or localhost)'
+     })
+     .option('scan-ports', {
+       type: 'string',
+       desc: 'Port range to scan for browsers (e.g. 9222-9300)'
+     })
+     .option('isolated', {
+       boolean: true,
+       default: false,
+       desc: 'Work in a private browser context instead of your open tabs'
+     })
+     .option('max-contexts', {
+       type: 'number',
+       default: 10,
+       desc: 'Maximum number of isolated session contexts'
+     })
+     .option('session-timeout', {
+       type: 'number',
+       default: 30,
+       desc: 'Close isolated session contexts after this many idle minutes'
+     })
+     .option('profile', {
+       type: 'string',
+       desc: 'Launch profile to use when launching a browser (see --profiles-config)'
+     })
+     .option('profiles-config', {
+       type: 'string',
+       desc: 'Launch profiles file (default: ANY_BROWSER_PROFILES or ~/.config/any-browser-mcp/profiles.json)'
+     })
+     .option('headless', {
+       boolean: true,
+       desc: 'Launch browsers without a window (default: headless only when no display is available)'
+     })
      .option('verbose', {
        alias: 'v',
        boolean: true,
@@ -50,7 +86,8 @@ yargs(hideBin(process.argv))
             endpoint: argv.endpoint || 'auto-detect',
             browser: argv.browser,
             launch: argv.launch,
-            port: argv.port || 'default'
+            port: argv.port || 'default',
+            host: argv.host || 'default'
           });
         }
 
@@ -59,6 +96,14 @@ yargs(hideBin(process.argv))
           browserPref: argv.browser,
           allowLaunch: argv.launch,
           customPort: argv.port,
+          host: argv.host,
+          scanPorts: argv.scanPorts,
+          isolated: argv.isolated,
+          maxContexts: argv.maxContexts,
+          idleTimeout: argv.sessionTimeout * 60 * 1000,
+          profile: argv.profile,
+          profilesConfig: argv.profilesConfig,
+          headless: argv.headless,
           verbose: argv.verbose
         });
       } catch (error) {
@@ -5,96 +5,83 @@ import { registerBrowserTools } from '../../src/tools/browser-tools.js';
 import { registerNavigationTools } from '../../src/tools/navigation-tools.js';
 import { registerInteractionTools } from '../../src/tools/interaction-tools.js';
 import { registerUtilityTools } from '../../src/tools/utility-tools.js';
+import { registerSessionResource } from '../../src/tools/session-tools.js';
+import { SessionManager } from '../../src/utils/session-manager.js';
 
 /**
  * Netlify Function for Any Browser MCP Server
  * Supports both stateless and session-based operation
  */
 
-// Global browser instances for session management
-const browserSessions = new Map();
+// One shared browser; each MCP session gets its own context in it
+let sharedBrowser = null;
+let sharedBrowserPromise = null;
 
 /**
- * Initialize browser for a session
+ * Attach to (or launch) the browser shared by all sessions
  */
-async function initializeBrowser(sessionId, options = {}) {
+async function getSharedBrowser() {
+  if (sharedBrowser?.isConnected()) {
+    return sharedBrowser;
+  }
+
+  if (!sharedBrowserPromise) {
+    sharedBrowserPromise = initializeBrowser().finally(() => {
+      sharedBrowserPromise = null;
+    });
+  }
+  return sharedBrowserPromise;
+}
+
+/**
+ * Initialize the shared browser
+ */
+async function initializeBrowser(options = {}) {
   try {
     let browser;
     
     // Try to connect to existing browser first
+    let connection;
     try {
-      browser = await attachToRunningBrowser({
+      ({ browser, connection } = await attachToRunningBrowser({
         endpoint: process.env.CDP_ENDPOINT,
         brand: options.browserPref || 'detect',
         verbose: process.env.NODE_ENV === 'development'
-      });
+      }));
     } catch (attachError) {
       // If attachment fails, launch new browser (if allowed)
       if (process.env.ALLOW_BROWSER_LAUNCH === 'true') {
-        browser = await launchBrowser(options.browserPref || 'detect', process.env.NODE_ENV === 'development');
+        ({ browser } = await launchBrowser(options.browserPref || 'detect', { verbose: process.env.NODE_ENV === 'development' }));
       } else {
         throw new Error(`Cannot connect to browser: ${attachError.message}. Set ALLOW_BROWSER_LAUNCH=true to allow launching new instances.`);
       }
     }
 
-    const context = await browser.newContext();
-    const page = await context.newPage();
-
-    const session = {
-      browser,
-      context,
-      page,
-      createdAt: new Date(),
-      lastUsed: new Date()
-    };
+    // Sessions need Playwright contexts, which a Firefox WebDriver BiDi connection does not have
+    if (connection?.protocol === 'webdriver-bidi') {
+      await Promise.resolve(browser.close()).catch(() => {});
+      throw new Error('Firefox over WebDriver BiDi is not supported by the Netlify function; point CDP_ENDPOINT at a Chromium browser (Chrome or Edge)');
+    }
 
-    browserSessions.set(sessionId, session);
-    return session;
+    sharedBrowser = browser;
+    return browser;
   } catch (error) {
     console.error('Failed to initialize browser:', error);
     throw error;
   }
 }
 
-/**
- * Get or create browser session
- */
-function getBrowserSession(sessionId) {
-  const session = browserSessions.get(sessionId);
-  if (session) {
-    session.lastUsed = new Date();
-    return session;
-  }
-  return null;
-}
-
-/**
- * Cleanup old sessions (called periodically)
- */
-function cleanupOldSessions() {
-  const now = new Date();
-  const maxAge = 30 * 60 * 1000; // 30 minutes
-
-  for (const [sessionId, session] of browserSessions.entries()) {
-    if (now - session.lastUsed > maxAge) {
-      try {
-        session.context?.close();
-        session.browser?.close();
-      } catch (error) {
-        console.error('Error cleaning up session:', error);
-      }
-      browserSessions.delete(sessionId);
-    }
-  }
-}
-
-// Cleanup old sessions every 10 minutes
-setInterval(cleanupOldSessions, 10 * 60 * 1000);
+const sessions = new SessionManager({
+  getBrowser: getSharedBrowser,
+  maxContexts: Number(process.env.MAX_BROWSER_CONTEXTS) || 10,
+  idleTimeout: (Number(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 30) * 60 * 1000,
+  verbose: process.env.NODE_ENV === 'development'
+});
 
 /**
  * Create MCP server instance
  */
-function createMCPServer(getBrowserInstances) {
+function createMCPServer(getBrowserInstances, setCurrentPage) {
   const server = new McpServer({
     name: 'any-browser-mcp-netlify',
     version: '1.0.0',
@@ -103,7 +90,7 @@ function createMCPServer(getBrowserInstances) {
 
   // Register all tool categories
   registerBrowserTools(server, getBrowserInstances);
-  registerNavigationTools(server, getBrowserInstances);
+  registerNavigationTools(server, getBrowserInstances, setCurrentPage);
   registerInteractionTools(server, getBrowserInstances);
   registerUtilityTools(server, getBrowserInstances);
 
@@ -122,7 +109,7 @@ function createMCPServer(getBrowserInstances) {
           uri: 'netlify://status',
           text: JSON.stringify({
             environment: 'netlify',
-            activeSessions: browserSessions.size,
+            activeSessions: sessions.size,
             cdpEndpoint: process.env.CDP_ENDPOINT || 'not configured',
             allowLaunch: process.env.ALLOW_BROWSER_LAUNCH === 'true',
             nodeEnv: process.env.NODE_ENV,
@@ -133,6 +120,11 @@ function createMCPServer(getBrowserInstances) {
     }
   );
 
+  registerSessionResource(server, () => sessions.list(), {
+    maxContexts: sessions.maxContexts,
+    idleTimeout: sessions.idleTimeout
+  });
+
   return server;
 }
 
@@ -156,20 +148,31 @@ export default async function handler(req, res) {
     // Get or create session
     const sessionId = req.headers['mcp-session-id'] || `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
-    let session = getBrowserSession(sessionId);
-    if (!session) {
-      session = await initializeBrowser(sessionId);
+    if (req.method === 'DELETE') {
+      // Client ended the MCP session - free its context
+      await sessions.release(sessionId);
+      res.status(200).end();
+      return;
     }
 
-    // Create browser instances getter for this session
-    const getBrowserInstances = () => ({
-      browser: session.browser,
-      context: session.context,
-      page: session.page
-    });
+    await sessions.acquire(sessionId);
+
+    // Create browser instances getter for this session (recreates expired contexts)
+    const getBrowserInstances = async () => {
+      const session = await sessions.acquire(sessionId);
+      return {
+        browser: session.context.browser(),
+        context: session.context,
+        page: session.page
+      };
+    };
+
+    const setCurrentPage = (page) => {
+      sessions.setPage(sessionId, page);
+    };
 
     // Create MCP server
-    const server = createMCPServer(getBrowserInstances);
+    const server = createMCPServer(getBrowserInstances, setCurrentPage);
 
     // Create transport
     const transport = new StreamableHTTPServerTransport({
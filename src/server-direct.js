@@ -1,50 +1,85 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { DirectCDPClient, getAvailablePages, createNewTab } from './utils/cdp-direct.js';
+import { DirectCDPClient, getAvailablePages, activateTab as activateBrowserTab } from './utils/cdp-direct.js';
+import { createConnection, devToolsHeaders, getVersionInfo, isLoopbackHost } from './utils/cdp-http.js';
+import { ConnectionSupervisor } from './utils/reconnect.js';
 import { registerDirectBrowserTools } from './tools/direct-browser-tools.js';
+import { registerDiagnosticsTools } from './tools/diagnostics-tools.js';
+import { refArgument, targetSelector } from './utils/aria-snapshot.js';
+import { sessionConsoleBuffer } from './utils/console-buffer.js';
+import { chromeCommandLine, resolveLaunchProfile } from './utils/launch-profiles.js';
+import { findChromeExecutable, hasDisplay } from './utils/browser-executables.js';
+import { handleShutdown, killSync, removeProfileDir, stopProcess } from './utils/lifecycle.js';
 import { z } from 'zod';
-import http from 'http';
 import { spawn } from 'child_process';
-import { promisify } from 'util';
-import { exec } from 'child_process';
-
-const execAsync = promisify(exec);
+import { cp, mkdir, mkdtemp, stat, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
 
 /**
  * Direct CDP-based MCP Server that controls existing browser tabs
  * This bypasses Playwright's context isolation and directly controls visible browser windows
  */
 
-let currentCDPClient = null;
+let browserClient = null;
+let currentSession = null;
 let currentPageId = null;
-let debugPort = 9222;
+let currentPageUrl = null;
+let supervisor = null;
+let connection = createConnection();
 let chromeProcess = null;
+let chromeTempDir = null;
+let launchProfile = null;
+
+/**
+ * Sessions that already clear currentSession when they detach
+ */
+const watchedSessions = new WeakSet();
 
 /**
- * Launch Chrome with debugging enabled
+ * Launch Chrome with debugging enabled, using the configured launch profile
+ * Without a profile user-data-dir, a debug copy of the main Chrome profile is used
  */
 async function launchChrome(verbose = false) {
+  if (!isLoopbackHost(connection.host)) {
+    throw new Error(`Cannot launch Chrome on remote host ${connection.host}; start it there with --remote-debugging-port=${connection.port}`);
+  }
+
   if (verbose) {
     console.error('🚀 Launching Chrome with debugging enabled...');
   }
 
+  let profile = launchProfile ?? await resolveLaunchProfile();
   const platform = process.platform;
-  let chromePath;
   let userDataDir;
 
   if (platform === 'darwin') {
-    chromePath = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
     userDataDir = `${process.env.HOME}/Library/Application Support/Google/Chrome-Debug`;
   } else if (platform === 'win32') {
-    chromePath = 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe';
     userDataDir = `${process.env.USERPROFILE}\\AppData\\Local\\Google\\Chrome-Debug`;
   } else {
-    chromePath = 'google-chrome';
     userDataDir = `${process.env.HOME}/.config/google-chrome-debug`;
   }
 
-  // Copy user data if it doesn't exist
-  try {
+  const chromePath = profile.executablePath ?? (await findChromeExecutable({ verbose }))?.executablePath;
+  if (!chromePath) {
+    throw new Error('No Chrome executable found. Install Chrome or Chromium, or set CHROME_PATH');
+  }
+
+  // A headful browser cannot start without a display (CI runners, containers)
+  if (!profile.headless && !hasDisplay()) {
+    if (verbose) {
+      console.error('🖥️  No display available, launching headless (pass --headless to make this explicit)');
+    }
+    profile = { ...profile, headless: true };
+  }
+
+  if (profile.userDataDir) {
+    // The profile owns its user-data-dir - use it as is
+    userDataDir = profile.userDataDir;
+    await mkdir(userDataDir, { recursive: true });
+  } else {
+    // Copy user data if it doesn't exist
     const mainProfile = platform === 'darwin'
       ? `${process.env.HOME}/Library/Application Support/Google/Chrome`
       : platform === 'win32'
@@ -52,50 +87,50 @@ async function launchChrome(verbose = false) {
       : `${process.env.HOME}/.config/google-chrome`;
 
     // Check if debug profile exists, if not copy from main profile
-    try {
-      await execAsync(`test -d "${userDataDir}"`);
-    } catch {
+    const exists = await stat(userDataDir).then(() => true, () => false);
+    const hasMainProfile = await stat(path.join(mainProfile, 'Default')).then(() => true, () => false);
+    if (!exists && hasMainProfile) {
       if (verbose) {
         console.error('📋 Copying Chrome profile data...');
       }
-      await execAsync(`mkdir -p "${userDataDir}"`);
-      try {
-        await execAsync(`cp -r "${mainProfile}/Default" "${userDataDir}/" 2>/dev/null || true`);
-        if (verbose) {
-          console.error('✅ Profile data copied');
-        }
-      } catch {
-        if (verbose) {
-          console.error('⚠️  Could not copy profile data, using fresh profile');
-        }
+      await mkdir(userDataDir, { recursive: true });
+      await cp(path.join(mainProfile, 'Default'), path.join(userDataDir, 'Default'), { recursive: true });
+      if (verbose) {
+        console.error('✅ Profile data copied');
+      }
+    } else if (!exists) {
+      // Nothing to copy - use a throwaway profile that is removed on shutdown
+      userDataDir = await mkdtemp(path.join(os.tmpdir(), 'any-browser-mcp-chrome-'));
+      chromeTempDir = userDataDir;
+      if (verbose) {
+        console.error('📋 No Chrome profile to copy, using a temporary profile');
       }
-    }
-  } catch (error) {
-    if (verbose) {
-      console.error('⚠️  Profile setup warning:', error.message);
     }
   }
 
-  const args = [
-    `--remote-debugging-port=${debugPort}`,
-    `--user-data-dir=${userDataDir}`,
-    '--no-first-run',
-    '--disable-background-timer-throttling',
-    '--disable-backgrounding-occluded-windows',
-    '--disable-renderer-backgrounding'
-  ];
+  const args = chromeCommandLine({ ...profile, userDataDir }, { port: connection.port });
 
   if (verbose) {
+    console.error(`🧩 Launch profile: ${profile.name}`);
     console.error(`📍 Chrome path: ${chromePath}`);
     console.error(`📁 User data dir: ${userDataDir}`);
-    console.error(`🔧 Debug port: ${debugPort}`);
+    console.error(`🔧 Debug port: ${connection.port}`);
   }
 
+  // Owned by this server: stopped on shutdown (see shutdownChrome)
   chromeProcess = spawn(chromePath, args, {
-    detached: true,
     stdio: 'ignore'
   });
 
+  // Report a missing binary or an early crash instead of waiting out the timeout
+  let exitReason = null;
+  chromeProcess.once('error', error => {
+    exitReason = error.message;
+  });
+  chromeProcess.once('exit', (code, signal) => {
+    exitReason = exitReason ?? `exited with ${signal ?? `code ${code}`}`;
+  });
+
   chromeProcess.unref();
 
   if (verbose) {
@@ -105,6 +140,10 @@ async function launchChrome(verbose = false) {
 
   // Wait for Chrome to start and become accessible
   for (let i = 0; i < 30; i++) {
+    if (exitReason) {
+      await shutdownChrome(verbose);
+      throw new Error(`Chrome (${chromePath}) failed to start: ${exitReason}`);
+    }
     try {
       await getPages();
       if (verbose) {
@@ -116,82 +155,176 @@ async function launchChrome(verbose = false) {
     }
   }
 
+  await shutdownChrome(verbose);
   throw new Error('Chrome failed to start within 30 seconds');
 }
 
+/**
+ * Stop the Chrome instance this server launched and remove its temporary profile
+ * Chrome that was already running when the server started is never touched
+ * @param {boolean} verbose - Enable verbose logging
+ */
+async function shutdownChrome(verbose = false) {
+  if (!chromeProcess) {
+    throw new Error('Chrome was not launched by this server; it is left running. Close it yourself if needed.');
+  }
+
+  closeBrowserClient();
+
+  await stopProcess(chromeProcess);
+  if (verbose) {
+    console.error(`🛑 Stopped Chrome (PID ${chromeProcess.pid})`);
+  }
+  chromeProcess = null;
+
+  if (chromeTempDir) {
+    await removeProfileDir(chromeTempDir, verbose);
+    chromeTempDir = null;
+  }
+}
+
 /**
  * Get available pages from Chrome
  */
 async function getPages() {
-  return new Promise((resolve, reject) => {
-    const req = http.get(`http://localhost:${debugPort}/json`, { timeout: 5000 }, (res) => {
-      if (res.statusCode === 200) {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            const pages = JSON.parse(data).filter(p => p.type === 'page');
-            resolve(pages);
-          } catch (parseError) {
-            reject(parseError);
-          }
-        });
-      } else {
-        reject(new Error(`HTTP ${res.statusCode}`));
-      }
-    });
-    req.on('error', reject);
-  });
+  return await getAvailablePages(connection);
 }
 
 /**
  * Activate a tab
  */
 async function activateTab(tabId) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'localhost',
-      port: debugPort,
-      path: `/json/activate/${tabId}`,
-      method: 'POST'
-    };
-    
-    const req = http.request(options, (res) => {
-      resolve(res.statusCode === 200);
-    });
-    
-    req.on('error', reject);
-    req.end();
+  return await activateBrowserTab(connection, tabId);
+}
+
+/**
+ * Connect to the browser WebSocket once; pages, iframes and workers are then
+ * driven through flattened sessions on that socket
+ * @returns {Promise<DirectCDPClient>} Browser-level client
+ */
+async function getBrowserClient() {
+  if (browserClient?.connected) {
+    return browserClient;
+  }
+
+  const { webSocketDebuggerUrl } = await getVersionInfo(connection);
+  const client = new DirectCDPClient();
+  await client.connect(webSocketDebuggerUrl, { headers: devToolsHeaders(connection) });
+  client.once('disconnected', () => supervisor?.connectionLost('CDP WebSocket closed'));
+  await client.startTargetDiscovery();
+  browserClient = client;
+  return client;
+}
+
+/**
+ * Close the browser connection without treating it as lost
+ */
+function closeBrowserClient() {
+  if (browserClient) {
+    browserClient.removeAllListeners('disconnected');
+    browserClient.close();
+    browserClient = null;
+  }
+  currentSession = null;
+}
+
+/**
+ * Make a target's session the one tools act on
+ * @param {CDPSession} session - Attached session
+ */
+function useSession(session) {
+  currentSession = session;
+  // Record console output from now on, for browser_get_console_logs
+  sessionConsoleBuffer(session).catch(() => {});
+  if (session.type === 'page') {
+    currentPageId = session.targetId;
+    currentPageUrl = session.targetInfo.url;
+  }
+
+  // A closed tab or iframe just falls back to the first tab on the next tool call
+  if (watchedSessions.has(session)) {
+    return;
+  }
+  watchedSessions.add(session);
+  session.once('detached', () => {
+    if (currentSession === session) {
+      currentSession = null;
+    }
   });
 }
 
 /**
  * Connect to a specific page
+ * Sessions stay attached, so switching back to a tab is instant
  */
 async function connectToPage(pageId) {
-  if (currentCDPClient) {
-    currentCDPClient.close();
-  }
-  
   const pages = await getPages();
   const page = pages.find(p => p.id === pageId);
   if (!page) {
     throw new Error(`Page not found: ${pageId}`);
   }
-  
-  currentCDPClient = new DirectCDPClient();
-  await currentCDPClient.connect(page.webSocketDebuggerUrl);
-  currentPageId = pageId;
+
+  const client = await getBrowserClient();
+  useSession(await client.attachToTarget(pageId));
+  currentPageUrl = page.url;
   
   return page;
 }
 
+/**
+ * Make any target (page, out-of-process iframe, worker, service worker) the current one
+ * @param {string} targetId - Target id (see browser_list_targets)
+ * @returns {Promise<CDPSession>} Session of the target
+ */
+async function connectToTarget(targetId) {
+  const client = await getBrowserClient();
+  const session = client.sessionForTarget(targetId) ?? await client.attachToTarget(targetId);
+  useSession(session);
+  return session;
+}
+
+/**
+ * Reconnect after Chrome restarted or the browser socket dropped,
+ * preferring the previously active tab (by target id, then URL)
+ */
+async function reconnectToPage() {
+  closeBrowserClient();
+
+  const pages = await getPages();
+  const page = pages.find(p => p.id === currentPageId)
+    || pages.find(p => p.url === currentPageUrl)
+    || pages[0];
+  if (!page) {
+    throw new Error('No browser tabs available');
+  }
+  await connectToPage(page.id);
+}
+
+/**
+ * Get the CDP session for the current target, attaching to the first tab if needed
+ * Throws a descriptive error while the connection is being re-established
+ */
+async function getCDPClient() {
+  supervisor?.assertConnected();
+
+  if (!currentSession?.connected) {
+    const pages = await getPages();
+    if (pages.length === 0) {
+      throw new Error('No browser tabs available');
+    }
+    await connectToPage(pages[0].id);
+  }
+  return currentSession;
+}
+
 /**
  * Start the Direct CDP MCP Server
+ * @param {Object} options - Server options ({ verbose, port, host, profile, profilesConfig, headless })
  */
 export async function startDirectMCPServer(options = {}) {
-  const { verbose = false, port = 9222 } = options;
-  debugPort = port;
+  const { verbose = false, port = 9222, host, profile, profilesConfig, headless } = options;
+  connection = createConnection({ host, port });
+  launchProfile = await resolveLaunchProfile(profile, { configPath: profilesConfig, headless });
 
   // Create MCP server instance
   const server = new McpServer({
@@ -202,7 +335,7 @@ export async function startDirectMCPServer(options = {}) {
 
   if (verbose) {
     console.error('🌐 Starting Direct CDP MCP Server...');
-    console.error(`🔧 Debug port: ${debugPort}`);
+    console.error(`🔧 Debug endpoint: ${connection.host}:${connection.port}`);
   }
 
   // Test connection to Chrome, launch if not running
@@ -215,6 +348,10 @@ export async function startDirectMCPServer(options = {}) {
       });
     }
   } catch (error) {
+    if (!isLoopbackHost(connection.host)) {
+      throw new Error(`Cannot connect to Chrome at ${connection.host}:${connection.port}: ${error.message}`);
+    }
+
     if (verbose) {
       console.error('⚠️  Chrome not running, launching automatically...');
     }
@@ -230,6 +367,13 @@ export async function startDirectMCPServer(options = {}) {
     }
   }
 
+  // Re-attach to the previously active tab whenever the page socket drops
+  supervisor = new ConnectionSupervisor({
+    name: 'Chrome',
+    connect: reconnectToPage,
+    verbose
+  });
+
   // 1. List Tabs
   server.registerTool(
     'browser_list_tabs',
@@ -311,27 +455,34 @@ export async function startDirectMCPServer(options = {}) {
     'browser_navigate',
     {
       title: 'Navigate to URL',
-      description: 'Navigate the current tab to a URL',
+      description: 'Navigate the current tab to a URL and wait for it to load',
       inputSchema: {
-        url: z.string().describe('URL to navigate to')
+        url: z.string().describe('URL to navigate to'),
+        waitUntil: z.enum(['load', 'domcontentloaded', 'networkidle']).optional().describe('When to consider the navigation done (default: load)'),
+        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)')
       }
     },
-    async ({ url }) => {
-      if (!currentCDPClient) {
-        // Connect to first available page
-        const pages = await getPages();
-        if (pages.length === 0) {
-          throw new Error('No browser tabs available');
-        }
-        await connectToPage(pages[0].id);
-      }
-      
-      await currentCDPClient.navigate(url);
+    async ({ url, waitUntil = 'load', timeout = 30000 }) => {
+      const client = await getCDPClient();
       
-      // Wait a moment for navigation
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const navigation = await client.navigate(url, { waitUntil, timeout });
+      if (navigation.errorText) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              action: 'navigate',
+              url,
+              errorText: navigation.errorText
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
       
-      const pageInfo = await currentCDPClient.getPageInfo();
+      const pageInfo = await client.getPageInfo();
+      currentPageUrl = pageInfo.url;
       
       return {
         content: [{
@@ -339,7 +490,10 @@ export async function startDirectMCPServer(options = {}) {
           text: JSON.stringify({
             success: true,
             action: 'navigate',
-            url: pageInfo.url,
+            url: navigation.url,
+            status: navigation.status,
+            statusText: navigation.statusText,
+            waitUntil,
             title: pageInfo.title
           }, null, 2)
         }]
@@ -356,15 +510,9 @@ export async function startDirectMCPServer(options = {}) {
       inputSchema: {}
     },
     async () => {
-      if (!currentCDPClient) {
-        const pages = await getPages();
-        if (pages.length === 0) {
-          throw new Error('No browser tabs available');
-        }
-        await connectToPage(pages[0].id);
-      }
+      const client = await getCDPClient();
       
-      const pageInfo = await currentCDPClient.getPageInfo();
+      const pageInfo = await client.getPageInfo();
       
       return {
         content: [{
@@ -385,30 +533,51 @@ export async function startDirectMCPServer(options = {}) {
     'browser_screenshot',
     {
       title: 'Take Screenshot',
-      description: 'Take a screenshot of the current page',
-      inputSchema: {}
+      description: 'Take a screenshot of the current page, the full page, a region or an element',
+      inputSchema: {
+        fullPage: z.boolean().optional().describe('Capture the full scrollable page (default: false)'),
+        element: z.string().optional().describe('CSS selector for a specific element to screenshot'),
+        clip: z.object({
+          x: z.number(),
+          y: z.number(),
+          width: z.number().positive(),
+          height: z.number().positive()
+        }).optional().describe('Region to capture in page CSS pixels'),
+        format: z.enum(['png', 'jpeg', 'webp']).optional().describe('Image format (default: from the path extension, else png)'),
+        quality: z.number().min(0).max(100).optional().describe('JPEG/WebP quality 0-100 (default: 80)'),
+        scale: z.number().positive().max(4).optional().describe('Device scale factor of the image (default: 1)'),
+        path: z.string().optional().describe('File path to save screenshot (optional)')
+      }
     },
-    async () => {
-      if (!currentCDPClient) {
-        const pages = await getPages();
-        if (pages.length === 0) {
-          throw new Error('No browser tabs available');
-        }
-        await connectToPage(pages[0].id);
+    async ({ fullPage = false, element, clip, format, quality, scale = 1, path: filePath }) => {
+      const client = await getCDPClient();
+      const extension = filePath ? path.extname(filePath).slice(1).toLowerCase() : '';
+      const type = format ?? { jpg: 'jpeg', jpeg: 'jpeg', webp: 'webp' }[extension] ?? 'png';
+
+      const data = await client.screenshot({ fullPage, clip, selector: element, format: type, quality, scale });
+      if (filePath) {
+        await writeFile(filePath, Buffer.from(data, 'base64'));
       }
-      
-      const screenshotData = await currentCDPClient.screenshot();
-      
+
       return {
-        content: [{
-          type: 'text',
-          text: JSON.stringify({
-            success: true,
-            action: 'screenshot',
-            format: 'png',
-            data: screenshotData.substring(0, 100) + '...' // Truncate for display
-          }, null, 2)
-        }]
+        content: [
+          {
+            type: 'image',
+            data,
+            mimeType: `image/${type}`
+          },
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              action: 'screenshot',
+              format: type,
+              fullPage,
+              element: element || null,
+              path: filePath || null
+            }, null, 2)
+          }
+        ]
       };
     }
   );
@@ -418,18 +587,17 @@ export async function startDirectMCPServer(options = {}) {
     'browser_click',
     {
       title: 'Click Element',
-      description: 'Click on an element by CSS selector',
+      description: 'Click on an element by CSS selector. Waits until the element is visible, stable and not covered by another element, scrolling it into view',
       inputSchema: {
-        selector: z.string().describe('CSS selector for the element to click')
+        selector: z.string().optional().describe('CSS selector for the element to click'),
+        ref: refArgument,
+        timeout: z.number().optional().describe('Milliseconds to wait for the element to be actionable (default: 30000)')
       }
     },
-    async ({ selector }) => {
-      if (!currentCDPClient) {
-        const pages = await getPages();
-        await connectToPage(pages[0].id);
-      }
+    async ({ selector, ref, timeout }) => {
+      const client = await getCDPClient();
 
-      await currentCDPClient.click(selector);
+      await client.click(targetSelector({ selector, ref }), { timeout });
 
       return {
         content: [{
@@ -437,7 +605,8 @@ export async function startDirectMCPServer(options = {}) {
           text: JSON.stringify({
             success: true,
             action: 'click',
-            selector
+            selector: selector || null,
+            ref: ref || null
           }, null, 2)
         }]
       };
@@ -449,18 +618,21 @@ export async function startDirectMCPServer(options = {}) {
     'browser_type',
     {
       title: 'Type Text',
-      description: 'Type text into the currently focused element',
+      description: 'Type text into an element, or into the currently focused element when no selector or ref is given',
       inputSchema: {
-        text: z.string().describe('Text to type')
+        text: z.string().describe('Text to type'),
+        selector: z.string().optional().describe('CSS selector for the element to click before typing'),
+        ref: refArgument
       }
     },
-    async ({ text }) => {
-      if (!currentCDPClient) {
-        const pages = await getPages();
-        await connectToPage(pages[0].id);
-      }
+    async ({ text, selector, ref }) => {
+      const client = await getCDPClient();
 
-      await currentCDPClient.type(text);
+      // Click the target first so it has focus
+      if (selector || ref) {
+        await client.click(targetSelector({ selector, ref }));
+      }
+      await client.type(text);
 
       return {
         content: [{
@@ -468,6 +640,8 @@ export async function startDirectMCPServer(options = {}) {
           text: JSON.stringify({
             success: true,
             action: 'type',
+            selector: selector || null,
+            ref: ref || null,
             text
           }, null, 2)
         }]
@@ -480,33 +654,19 @@ export async function startDirectMCPServer(options = {}) {
     'browser_fill',
     {
       title: 'Fill Input Field',
-      description: 'Fill an input field with text',
+      description: 'Fill an input field with text. Waits until the field is visible, stable and not covered by another element',
       inputSchema: {
-        selector: z.string().describe('CSS selector for the input field'),
-        value: z.string().describe('Value to fill')
+        selector: z.string().optional().describe('CSS selector for the input field'),
+        ref: refArgument,
+        value: z.string().describe('Value to fill'),
+        timeout: z.number().optional().describe('Milliseconds to wait for the element to be actionable (default: 30000)')
       }
     },
-    async ({ selector, value }) => {
-      if (!currentCDPClient) {
-        const pages = await getPages();
-        await connectToPage(pages[0].id);
-      }
+    async ({ selector, ref, value, timeout }) => {
+      const client = await getCDPClient();
 
-      // Click the input first, then clear and type
-      await currentCDPClient.click(selector);
-      await currentCDPClient.sendCommand('Input.dispatchKeyEvent', {
-        type: 'keyDown',
-        key: 'Meta'
-      });
-      await currentCDPClient.sendCommand('Input.dispatchKeyEvent', {
-        type: 'char',
-        text: 'a'
-      });
-      await currentCDPClient.sendCommand('Input.dispatchKeyEvent', {
-        type: 'keyUp',
-        key: 'Meta'
-      });
-      await currentCDPClient.type(value);
+      // Select the current value, then replace it
+      await client.fill(targetSelector({ selector, ref }), value, { timeout });
 
       return {
         content: [{
@@ -514,7 +674,8 @@ export async function startDirectMCPServer(options = {}) {
           text: JSON.stringify({
             success: true,
             action: 'fill',
-            selector,
+            selector: selector || null,
+            ref: ref || null,
             value
           }, null, 2)
         }]
@@ -522,18 +683,6 @@ export async function startDirectMCPServer(options = {}) {
     }
   );
 
-  // Helper function to get current CDP client
-  const getCDPClient = async () => {
-    if (!currentCDPClient) {
-      const pages = await getPages();
-      if (pages.length === 0) {
-        throw new Error('No browser tabs available');
-      }
-      await connectToPage(pages[0].id);
-    }
-    return currentCDPClient;
-  };
-
   // 9. Launch Chrome (manual)
   server.registerTool(
     'browser_launch_chrome',
@@ -576,8 +725,150 @@ export async function startDirectMCPServer(options = {}) {
     }
   );
 
+  // 10. Shut down launched Chrome
+  server.registerTool(
+    'browser_shutdown',
+    {
+      title: 'Shut Down Chrome',
+      description: 'Close the Chrome instance this server launched and remove its temporary profile. Chrome that was already running is never closed',
+      inputSchema: {}
+    },
+    async () => {
+      try {
+        const pid = chromeProcess?.pid ?? null;
+        await shutdownChrome(verbose);
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              action: 'shutdown',
+              pid
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              action: 'shutdown'
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 11. List Targets
+  server.registerTool(
+    'browser_list_targets',
+    {
+      title: 'List Browser Targets',
+      description: 'List tabs, out-of-process (cross-origin) iframes, workers and service workers that tools can be switched to',
+      inputSchema: {
+        type: z.enum(['page', 'iframe', 'worker', 'shared_worker', 'service_worker']).optional().describe('Only list targets of this type')
+      }
+    },
+    async ({ type }) => {
+      try {
+        const client = await getBrowserClient();
+        const targets = client.getTargets(type)
+          .filter(target => target.type !== 'browser' && target.type !== 'tab')
+          .map(target => {
+            const session = client.sessionForTarget(target.targetId);
+            return {
+              id: target.targetId,
+              type: target.type,
+              title: target.title,
+              url: target.url,
+              attached: !!session,
+              parentId: session?.parent?.targetId ?? null,
+              current: currentSession?.targetId === target.targetId
+            };
+          });
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              totalTargets: targets.length,
+              targets
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 12. Switch Target
+  server.registerTool(
+    'browser_switch_target',
+    {
+      title: 'Switch to Target',
+      description: 'Make a tab, cross-origin iframe or worker the target of subsequent tools (see browser_list_targets)',
+      inputSchema: {
+        id: z.string().describe('Target ID')
+      }
+    },
+    async ({ id }) => {
+      try {
+        const session = await connectToTarget(id);
+        if (session.type === 'page') {
+          await activateTab(id);
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              action: 'switch_target',
+              target: {
+                id: session.targetId,
+                type: session.type,
+                title: session.targetInfo.title,
+                url: session.targetInfo.url
+              }
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              action: 'switch_target',
+              id
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
   // Register additional browser tools
   registerDirectBrowserTools(server, getCDPClient, getPages, activateTab, connectToPage);
+  registerDiagnosticsTools(server, { host: connection.host, brand: 'chrome', customPort: connection.port });
 
   if (verbose) {
     console.error('✅ Registered 20+ browser automation tools');
@@ -590,19 +881,21 @@ export async function startDirectMCPServer(options = {}) {
       console.error('🧹 Cleaning up...');
     }
 
-    if (currentCDPClient) {
-      currentCDPClient.close();
+    supervisor.stop();
+
+    // Chrome we launched goes away with the server; Chrome the user started keeps running
+    if (chromeProcess) {
+      await shutdownChrome(verbose);
+    } else {
+      closeBrowserClient();
     }
 
-    // Note: We don't kill Chrome automatically as user might want to keep it running
     if (verbose) {
       console.error('✅ Cleanup complete');
     }
   };
 
-  process.on('SIGINT', cleanup);
-  process.on('SIGTERM', cleanup);
-  process.on('exit', cleanup);
+  handleShutdown(cleanup, () => killSync(chromeProcess, chromeTempDir));
 
   // Start the MCP server
   const transport = new StdioServerTransport();
@@ -610,6 +903,8 @@ export async function startDirectMCPServer(options = {}) {
 
   if (verbose) {
     console.error('✅ Direct CDP MCP server is running!');
-    console.error('💡 Chrome will stay running even if MCP server stops');
+    console.error(chromeProcess
+      ? '💡 Chrome was launched by this server and stops with it'
+      : '💡 Chrome will stay running even if MCP server stops');
   }
 }
@@ -1,20 +1,416 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { attachToRunningBrowser, launchBrowser } from './utils/attach.js';
-import { DirectCDPClient, getAvailablePages, createNewTab } from './utils/cdp-direct.js';
+import { attachToRunningBrowser, launchBrowser, findExistingPage, getTargetId } from './utils/attach.js';
+import { resolveLaunchProfile } from './utils/launch-profiles.js';
+import { getAvailablePages } from './utils/cdp-direct.js';
 import { registerBrowserTools } from './tools/browser-tools.js';
 import { registerNavigationTools } from './tools/navigation-tools.js';
 import { registerInteractionTools } from './tools/interaction-tools.js';
 import { registerUtilityTools } from './tools/utility-tools.js';
+import { registerBiDiBrowserTools } from './tools/bidi-browser-tools.js';
+import { registerRegistryTools } from './tools/registry-tools.js';
+import { registerDiagnosticsTools } from './tools/diagnostics-tools.js';
+import { registerSessionResource } from './tools/session-tools.js';
+import { ConnectionSupervisor } from './utils/reconnect.js';
+import { handleShutdown } from './utils/lifecycle.js';
+import { readDevToolsActivePort } from './utils/discovery.js';
+import { BrowserRegistry } from './utils/browser-registry.js';
+import { SessionManager } from './utils/session-manager.js';
+import { watchContextConsole } from './utils/console-buffer.js';
 
 /**
- * Global browser instances - shared across all MCP operations
+ * Connected browsers - shared across all MCP operations and addressed by name
  */
-let globalBrowser = null;
-let globalContext = null;
-let globalPage = null;
-let directCDPClient = null;
-let useDirectCDP = false;
+const registry = new BrowserRegistry();
+
+/**
+ * Automation protocol of the registered tool set ('cdp' or 'webdriver-bidi')
+ */
+let toolProtocol = null;
+
+/**
+ * Session isolation settings ({ maxContexts, idleTimeout }), or null to share the user's tab
+ */
+let isolation = null;
+
+/**
+ * Session id used for the single client of the stdio transport
+ */
+const STDIO_SESSION_ID = 'stdio';
+
+/**
+ * Pick the page the server starts on: the user's existing tab when there is one,
+ * otherwise a new page in a fresh context
+ * @param {Browser} browser - Connected or launched browser
+ * @param {Object|null} connection - Connection descriptor (null for launched browsers)
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<{context: BrowserContext, page: Page}>} Initial context and page
+ */
+async function setupInitialPage(browser, connection, verbose = false) {
+  // For existing browsers, we need a hybrid approach:
+  // 1. Connect to existing pages directly via their WebSocket URLs
+  // 2. Also maintain ability to create new tabs in the same browser
+  try {
+    if (verbose) {
+      console.error('🔍 Setting up connection to existing browser...');
+    }
+
+    // Get existing pages from the browser (launched browsers have no DevTools HTTP endpoint)
+    const existingPagesData = connection
+      ? await getAvailablePages(connection).catch(() => [])
+      : [];
+
+    if (existingPagesData.length > 0) {
+      // Connect to the first existing page directly
+      const firstPage = existingPagesData[0];
+      if (verbose) {
+        console.error(`📄 Attaching to existing page: ${firstPage.title} (${firstPage.url})`);
+      }
+
+      // Adopt the Playwright page that backs the existing tab so we keep its state
+      try {
+        const page = await findExistingPage(browser, firstPage);
+        if (!page) {
+          throw new Error(`No page in the connected browser matches target ${firstPage.id}`);
+        }
+
+        if (verbose) {
+          console.error(`✅ Connected to existing page: ${firstPage.url}`);
+        }
+        return { context: page.context(), page };
+      } catch (pageError) {
+        if (verbose) {
+          console.error(`⚠️  Could not connect to existing page, creating new one: ${pageError.message}`);
+        }
+        // Fallback: create new context and page
+        const context = await browser.newContext();
+        return { context, page: await context.newPage() };
+      }
+    } else {
+      if (verbose) {
+        console.error('📄 No existing pages found, creating new tab in existing browser');
+      }
+      // Create new context and page in the existing browser
+      const context = await browser.newContext();
+      return { context, page: await context.newPage() };
+    }
+  } catch (error) {
+    if (verbose) {
+      console.error('⚠️  Failed to connect to existing browser, using fallback approach');
+    }
+    // Fallback for any connection issues
+    const context = await browser.newContext();
+    return { context, page: await context.newPage() };
+  }
+}
+
+/**
+ * Remember the CDP target id of the current page so it can be re-selected after a reconnect,
+ * and record the console of its context for browser_get_console_logs
+ * @param {Object} entry - Browser registry entry
+ * @param {Page} page - Page that just became current
+ */
+function trackCurrentTarget(entry, page) {
+  watchContextConsole(page.context());
+  entry.targetId = null;
+  getTargetId(page).then(targetId => {
+    if (entry.page === page) {
+      entry.targetId = targetId;
+    }
+  });
+}
+
+/**
+ * Hand browser disconnects to the entry's supervisor
+ * @param {Object} entry - Browser registry entry
+ */
+function watchBrowser(entry) {
+  entry.browser.once('disconnected', () => {
+    if (entry.connection?.protocol === 'webdriver-bidi') {
+      entry.supervisor?.connectionLost('Firefox BiDi socket closed');
+    } else {
+      entry.supervisor?.connectionLost('browser disconnected');
+    }
+  });
+}
+
+/**
+ * Re-probe a browser after a restart or dropped socket and re-select the previously active tab
+ * @param {Object} entry - Browser registry entry
+ * @param {boolean} verbose - Enable verbose logging
+ */
+async function reattachBrowser(entry, verbose = false) {
+  const previousTab = entry.connection.protocol === 'webdriver-bidi'
+    ? { id: entry.browser.currentContext }
+    : { id: entry.targetId, url: entry.page?.url() };
+
+  // Browsers found through DevToolsActivePort get a new port on every start
+  const { endpoint, userDataDir } = entry.connection;
+  const activePort = !endpoint && userDataDir ? await readDevToolsActivePort(userDataDir) : null;
+
+  // Reuse an explicit endpoint as given, otherwise probe by host/port/brand:
+  // the browser WebSocket URL changes when the browser restarts
+  const { browser, connection } = await attachToRunningBrowser(endpoint
+    ? { endpoint, brand: entry.connection.brand, verbose }
+    : {
+      brand: entry.connection.brand,
+      customPort: activePort?.port ?? entry.connection.port,
+      host: entry.connection.host,
+      verbose
+    });
+  connection.userDataDir = userDataDir;
+
+  if (connection.protocol === 'webdriver-bidi') {
+    const contexts = await browser.getContexts();
+    if (contexts.some(context => context.context === previousTab.id)) {
+      await browser.selectContext(previousTab.id);
+    }
+  } else if (!entry.sessions) {
+    const page = await findExistingPage(browser, previousTab);
+    const { context, page: currentPage } = page
+      ? { context: page.context(), page }
+      : await setupInitialPage(browser, connection, verbose);
+    entry.context = context;
+    entry.page = currentPage;
+    trackCurrentTarget(entry, currentPage);
+  }
+
+  // Session contexts lived in the old browser; each session gets a new one on its next call
+  entry.sessions?.forgetAll();
+  entry.browser = browser;
+  entry.connection = connection;
+  watchBrowser(entry);
+}
+
+/**
+ * Attach to (or launch) a browser and add it to the registry
+ * @param {Object} options - Connection options
+ * @param {string} [options.endpoint] - Explicit CDP or BiDi endpoint
+ * @param {string} [options.brand] - Browser brand preference ('detect', 'chrome', 'edge', 'firefox')
+ * @param {number} [options.customPort] - Debugging port
+ * @param {string} [options.host] - DevTools host
+ * @param {string} [options.scanPorts] - Port range to scan during discovery
+ * @param {string} [options.name] - Registry name (default: derived from the brand)
+ * @param {boolean} [options.allowLaunch] - Launch a browser when attaching fails
+ * @param {Object} [options.launchProfile] - Resolved launch profile for launched browsers
+ * @param {boolean} [options.verbose] - Enable verbose logging
+ * @returns {Promise<Object>} The new registry entry
+ */
+async function addBrowser({ endpoint, brand = 'detect', customPort, host, scanPorts, name, allowLaunch = false, launchProfile, verbose = false }) {
+  if (name !== undefined && registry.entries.has(name)) {
+    throw new Error(`A browser named "${name}" is already connected`);
+  }
+
+  let browser;
+  let connection = null;
+  let launched = null;
+
+  try {
+    ({ browser, connection } = await attachToRunningBrowser({
+      endpoint,
+      brand,
+      customPort,
+      host,
+      scanPorts,
+      verbose
+    }));
+  } catch (attachError) {
+    if (!allowLaunch) {
+      if (verbose) {
+        console.error('❌ Browser attachment failed and launching is disabled');
+        console.error('💡 To enable browser launching, use --launch flag');
+      }
+      throw new Error(`Cannot connect to existing browser and launching is disabled. ${attachError.message}`);
+    }
+
+    if (verbose) {
+      console.error('⚠️  No existing browser found with debugging enabled');
+      console.error('🚀 Falling back to launching new browser instance...');
+      console.error('💡 To avoid this, start your browser with debugging enabled first');
+    }
+    launched = await launchBrowser(brand, { profile: launchProfile, verbose });
+    browser = launched.browser;
+  }
+
+  const protocol = connection?.protocol ?? 'cdp';
+  const duplicate = connection && registry.list().find(entry =>
+    entry.connection?.host === connection.host && entry.connection?.port === connection.port);
+
+  if ((toolProtocol && protocol !== toolProtocol) || duplicate) {
+    // The Firefox BiDi client closes synchronously, Playwright returns a promise
+    await Promise.resolve((browser ?? launched.context).close()).catch(() => {});
+    if (duplicate) {
+      throw new Error(`The browser at ${connection.host}:${connection.port} is already connected as "${duplicate.name}"`);
+    }
+    throw new Error(`Cannot mix protocols: this server drives ${toolProtocol === 'webdriver-bidi' ? 'Firefox over WebDriver BiDi' : 'Chromium browsers over CDP'}. Start a separate server for ${protocol === 'webdriver-bidi' ? 'Firefox' : 'Chromium browsers'}.`);
+  }
+
+  const entry = {
+    name: name ?? registry.uniqueName(connection?.brand ?? (brand === 'detect' ? 'chromium' : brand)),
+    browser,
+    context: null,
+    page: null,
+    connection,
+    targetId: null,
+    supervisor: null,
+    sessions: null,
+    owned: !!launched,
+    launchProfile: launched ? launchProfile?.name ?? 'default' : null
+  };
+
+  if (protocol === 'webdriver-bidi') {
+    // Firefox is driven through its own BiDi tool implementations, not Playwright pages
+    if (verbose) {
+      console.error('🦊 Using WebDriver BiDi tools for Firefox');
+      if (isolation) {
+        console.error('⚠️  Isolated sessions are not supported over WebDriver BiDi, using the current tab');
+      }
+    }
+  } else if (launched?.context) {
+    // Persistent profiles come with their one context - sessions cannot get private ones
+    if (isolation && verbose) {
+      console.error('⚠️  Isolated sessions are not supported with a persistent launch profile, using its context');
+    }
+    entry.context = launched.context;
+    entry.page = launched.context.pages()[0] ?? await launched.context.newPage();
+    trackCurrentTarget(entry, entry.page);
+  } else if (isolation) {
+    // Work in a private context instead of the user's tabs
+    entry.sessions = new SessionManager({
+      getBrowser: async () => entry.browser,
+      ...isolation,
+      contextOptions: launched?.contextOptions,
+      verbose
+    });
+  } else if (launched) {
+    entry.context = await browser.newContext(launched.contextOptions);
+    entry.page = await entry.context.newPage();
+    trackCurrentTarget(entry, entry.page);
+  } else {
+    ({ context: entry.context, page: entry.page } = await setupInitialPage(browser, connection, verbose));
+    trackCurrentTarget(entry, entry.page);
+  }
+
+  // Attached browsers can be restarted by the user - keep re-attaching to them
+  if (connection) {
+    entry.supervisor = new ConnectionSupervisor({
+      name: `${entry.name} browser`,
+      connect: () => reattachBrowser(entry, verbose),
+      verbose
+    });
+    watchBrowser(entry);
+  }
+
+  toolProtocol = protocol;
+  registry.add(entry);
+
+  if (verbose) {
+    console.error(`✅ Browser "${entry.name}" registered`);
+  }
+  return entry;
+}
+
+/**
+ * Let go of a registered browser
+ * Launched browsers are closed (Playwright removes their temporary profile);
+ * attached browsers are only disconnected and keep running with the user's tabs
+ * @param {Object} entry - Browser registry entry
+ * @param {boolean} verbose - Enable verbose logging
+ */
+async function releaseBrowser(entry, verbose = false) {
+  entry.supervisor?.stop();
+
+  try {
+    await entry.sessions?.closeAll();
+    if (entry.owned) {
+      // Persistent launch profiles have only a context to close
+      await (entry.browser ?? entry.context)?.close();
+    } else {
+      // For attached browsers close() only drops the connection
+      await entry.browser?.close();
+    }
+    if (verbose) {
+      console.error(`${entry.owned ? '🛑 Closed' : '🔌 Disconnected from'} browser "${entry.name}"`);
+    }
+  } catch (error) {
+    if (verbose) {
+      console.error(`⚠️  Cleanup error (${entry.name}):`, error.message);
+    }
+  }
+}
+
+/**
+ * Close a browser this server launched and remove it from the registry
+ * @param {string} [name] - Browser name (default: the selected browser)
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<Object>} The removed registry entry
+ */
+async function shutdownBrowser(name, verbose = false) {
+  const entry = registry.get(name);
+  if (!entry.owned) {
+    throw new Error(`Browser "${entry.name}" was attached, not launched by this server; it is left running. Close it yourself if needed.`);
+  }
+
+  registry.remove(entry.name);
+  await releaseBrowser(entry, verbose);
+  return entry;
+}
+
+/**
+ * Describe a registered browser for the status resource and browser_list_browsers
+ * @param {Object} entry - Browser registry entry
+ * @returns {Promise<Object>} Connection state and current page of the browser
+ */
+async function describeBrowser(entry) {
+  const base = {
+    name: entry.name,
+    selected: entry.name === registry.currentName,
+    ownership: entry.owned ? 'launched' : 'attached',
+    ...(entry.sessions && { isolatedSessions: entry.sessions.size }),
+    ...(entry.launchProfile && { launchProfile: entry.launchProfile })
+  };
+
+  if (entry.supervisor?.state === 'reconnecting') {
+    return {
+      ...base,
+      connected: false,
+      connection: entry.connection,
+      reconnection: entry.supervisor.getStatus()
+    };
+  }
+
+  if (entry.connection?.protocol === 'webdriver-bidi') {
+    const { browser } = entry;
+    const tabs = browser.connected ? await browser.getContexts() : [];
+    const pageInfo = browser.connected ? await browser.getPageInfo() : {};
+
+    return {
+      ...base,
+      connected: browser.connected,
+      browserType: 'firefox',
+      protocol: 'webdriver-bidi',
+      connection: entry.connection,
+      pagesCount: tabs.length,
+      currentUrl: pageInfo.url || null,
+      currentTitle: pageInfo.title || null
+    };
+  }
+
+  // Persistent launch profiles have a context but no Browser object
+  const contexts = entry.browser ? entry.browser.contexts() : [entry.context].filter(Boolean);
+  const pages = entry.context ? entry.context.pages() : [];
+
+  return {
+    ...base,
+    connected: !!(entry.browser || entry.context),
+    browserType: (entry.browser ?? entry.context?.browser())?._initializer?.name || 'unknown',
+    connection: entry.connection,
+    contextsCount: contexts.length,
+    pagesCount: pages.length,
+    currentUrl: entry.page ? await entry.page.url() : null,
+    currentTitle: entry.page ? await entry.page.title() : null
+  };
+}
 
 /**
  * Initialize and start the MCP server
@@ -26,9 +422,27 @@ export async function startMCPServer(options = {}) {
     browserPref = 'detect', 
     allowLaunch = false, 
     customPort,
+    host,
+    scanPorts,
+    isolated = false,
+    maxContexts = 10,
+    idleTimeout = 30 * 60 * 1000,
+    profile,
+    profilesConfig,
+    headless,
     verbose = false 
   } = options;
 
+  isolation = isolated ? { maxContexts, idleTimeout } : null;
+
+  // Fail early on a bad profile rather than after attaching has failed
+  const launchProfile = allowLaunch
+    ? await resolveLaunchProfile(profile, { configPath: profilesConfig, headless })
+    : null;
+  if (profile && !allowLaunch && verbose) {
+    console.error(`⚠️  Launch profile "${profile}" is ignored without --launch`);
+  }
+
   // Create MCP server instance
   const server = new McpServer({
     name: 'any-browser-mcp',
@@ -42,104 +456,16 @@ export async function startMCPServer(options = {}) {
       console.error('🌐 Initializing browser connection...');
     }
 
-    try {
-      globalBrowser = await attachToRunningBrowser({
-        endpoint,
-        brand: browserPref,
-        customPort,
-        verbose
-      });
-    } catch (attachError) {
-      if (!allowLaunch) {
-        if (verbose) {
-          console.error('❌ Browser attachment failed and launching is disabled');
-          console.error('💡 To enable browser launching, use --launch flag');
-        }
-        throw new Error(`Cannot connect to existing browser and launching is disabled. ${attachError.message}`);
-      }
-
-      if (verbose) {
-        console.error('⚠️  No existing browser found with debugging enabled');
-        console.error('🚀 Falling back to launching new browser instance...');
-        console.error('💡 To avoid this, start your browser with debugging enabled first');
-      }
-      globalBrowser = await launchBrowser(browserPref, verbose);
-    }
-
-    // For existing browsers, we need a hybrid approach:
-    // 1. Connect to existing pages directly via their WebSocket URLs
-    // 2. Also maintain ability to create new tabs in the same browser
-    try {
-      if (verbose) {
-        console.error('🔍 Setting up connection to existing browser...');
-      }
-
-      // Get existing pages from the browser
-      const http = await import('http');
-      const existingPagesData = await new Promise((resolve) => {
-        const req = http.default.get('http://localhost:9222/json', { timeout: 5000 }, (res) => {
-          if (res.statusCode === 200) {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-              try {
-                const pages = JSON.parse(data).filter(p => p.type === 'page');
-                resolve(pages);
-              } catch (parseError) {
-                resolve([]);
-              }
-            });
-          } else {
-            resolve([]);
-          }
-        });
-        req.on('error', () => resolve([]));
-        req.on('timeout', () => {
-          req.destroy();
-          resolve([]);
-        });
-      });
-
-      if (existingPagesData.length > 0) {
-        // Connect to the first existing page directly
-        const firstPage = existingPagesData[0];
-        if (verbose) {
-          console.error(`📄 Connecting to existing page: ${firstPage.title} (${firstPage.url})`);
-        }
-
-        // Connect directly to the existing page via its WebSocket URL
-        try {
-          globalPage = await globalBrowser.newPage();
-          await globalPage.goto(firstPage.url);
-          globalContext = globalPage.context();
-
-          if (verbose) {
-            console.error(`✅ Connected to existing page: ${firstPage.url}`);
-          }
-        } catch (pageError) {
-          if (verbose) {
-            console.error(`⚠️  Could not connect to existing page, creating new one: ${pageError.message}`);
-          }
-          // Fallback: create new context and page
-          globalContext = await globalBrowser.newContext();
-          globalPage = await globalContext.newPage();
-        }
-      } else {
-        if (verbose) {
-          console.error('📄 No existing pages found, creating new tab in existing browser');
-        }
-        // Create new context and page in the existing browser
-        globalContext = await globalBrowser.newContext();
-        globalPage = await globalContext.newPage();
-      }
-    } catch (error) {
-      if (verbose) {
-        console.error('⚠️  Failed to connect to existing browser, using fallback approach');
-      }
-      // Fallback for any connection issues
-      globalContext = await globalBrowser.newContext();
-      globalPage = await globalContext.newPage();
-    }
+    await addBrowser({
+      endpoint,
+      brand: browserPref,
+      customPort,
+      host,
+      scanPorts,
+      allowLaunch,
+      launchProfile,
+      verbose
+    });
 
     if (verbose) {
       console.error('✅ Browser connection established');
@@ -151,10 +477,31 @@ export async function startMCPServer(options = {}) {
   }
 
   // Register all tool categories
-  registerBrowserTools(server, () => ({ browser: globalBrowser, context: globalContext, page: globalPage }));
-  registerNavigationTools(server, () => ({ browser: globalBrowser, context: globalContext, page: globalPage }));
-  registerInteractionTools(server, () => ({ browser: globalBrowser, context: globalContext, page: globalPage }));
-  registerUtilityTools(server, () => ({ browser: globalBrowser, context: globalContext, page: globalPage }));
+  if (toolProtocol === 'webdriver-bidi') {
+    registerBiDiBrowserTools(server, (name) => getBrowserInstances(name).browser);
+  } else {
+    const getInstances = isolation ? getSessionInstances : getBrowserInstances;
+    registerBrowserTools(server, getInstances);
+    registerNavigationTools(server, getInstances, isolation ? setSessionPage : setCurrentPage);
+    registerInteractionTools(server, getInstances);
+    registerUtilityTools(server, getInstances);
+  }
+  registerRegistryTools(server, {
+    registry,
+    connectBrowser: (connectOptions) => addBrowser({ ...connectOptions, verbose }),
+    describeBrowser,
+    shutdownBrowser: (name) => shutdownBrowser(name, verbose)
+  });
+  registerDiagnosticsTools(server, { host, brand: browserPref, customPort, scanPorts });
+
+  if (isolation) {
+    registerSessionResource(server, async () => {
+      const sessions = await Promise.all(registry.list()
+        .filter(entry => entry.sessions)
+        .map(async entry => (await entry.sessions.list()).map(session => ({ browser: entry.name, ...session }))));
+      return sessions.flat();
+    }, isolation);
+  }
 
   // Add a resource for browser status
   server.registerResource(
@@ -162,23 +509,18 @@ export async function startMCPServer(options = {}) {
     'browser://status',
     {
       title: 'Browser Status',
-      description: 'Current browser connection and page information',
+      description: 'Connection and page information for the selected browser and all connected browsers',
       mimeType: 'application/json'
     },
     async () => {
-      const contexts = globalBrowser ? globalBrowser.contexts() : [];
-      const pages = globalContext ? globalContext.pages() : [];
-      
+      const browsers = await Promise.all(registry.list().map(describeBrowser));
+
       return {
         contents: [{
           uri: 'browser://status',
           text: JSON.stringify({
-            connected: !!globalBrowser,
-            browserType: globalBrowser?._initializer?.name || 'unknown',
-            contextsCount: contexts.length,
-            pagesCount: pages.length,
-            currentUrl: globalPage ? await globalPage.url() : null,
-            currentTitle: globalPage ? await globalPage.title() : null
+            ...browsers.find(browser => browser.selected),
+            browsers
           }, null, 2)
         }]
       };
@@ -191,23 +533,11 @@ export async function startMCPServer(options = {}) {
       console.error('🧹 Cleaning up browser connections...');
     }
     
-    try {
-      if (globalContext) {
-        await globalContext.close();
-      }
-      if (globalBrowser) {
-        await globalBrowser.close();
-      }
-    } catch (error) {
-      if (verbose) {
-        console.error('⚠️  Cleanup error:', error.message);
-      }
-    }
+    await Promise.all(registry.list().map(entry => releaseBrowser(entry, verbose)));
   };
 
-  process.on('SIGINT', cleanup);
-  process.on('SIGTERM', cleanup);
-  process.on('exit', cleanup);
+  // Playwright kills the browsers it launched itself if the process exits without cleanup
+  handleShutdown(cleanup);
 
   // Start the MCP server with stdio transport
   const transport = new StdioServerTransport();
@@ -224,21 +554,64 @@ export async function startMCPServer(options = {}) {
 }
 
 /**
- * Get current browser instances (for use by tools)
- * @returns {Object} Current browser, context, and page instances
+ * Get browser instances (for use by tools)
+ * Throws a descriptive error while the browser connection is being re-established
+ * @param {string} [name] - Browser name (default: the selected browser)
+ * @returns {Object} Browser, context, page and connection descriptor of that browser
  */
-export function getBrowserInstances() {
+export function getBrowserInstances(name) {
+  const entry = registry.get(name);
+  entry.supervisor?.assertConnected();
+
   return {
-    browser: globalBrowser,
-    context: globalContext, 
-    page: globalPage
+    name: entry.name,
+    browser: entry.browser,
+    context: entry.context,
+    page: entry.page,
+    connection: entry.connection
   };
 }
 
 /**
- * Update the global page reference (when switching tabs, etc.)
+ * Get browser instances with the stdio client's isolated context and page
+ * Creates the context on first use and again after it expired or the browser reconnected
+ * @param {string} [name] - Browser name (default: the selected browser)
+ * @returns {Promise<Object>} Browser, session context, session page and connection descriptor
+ */
+async function getSessionInstances(name) {
+  const instances = getBrowserInstances(name);
+  const { sessions } = registry.get(instances.name);
+  if (!sessions) {
+    return instances;
+  }
+
+  const session = await sessions.acquire(STDIO_SESSION_ID);
+  watchContextConsole(session.context);
+  return { ...instances, context: session.context, page: session.page };
+}
+
+/**
+ * Update the stdio client's current page in its isolated context
+ * Browsers without sessions (e.g. persistent launch profiles or Firefox) keep a plain current page
+ * @param {Page} newPage - New page to set as current
+ * @param {string} [name] - Browser name (default: the selected browser)
+ */
+function setSessionPage(newPage, name) {
+  const { sessions } = registry.get(name);
+  if (!sessions) {
+    setCurrentPage(newPage, name);
+    return;
+  }
+  sessions.setPage(STDIO_SESSION_ID, newPage);
+}
+
+/**
+ * Update a browser's current page reference (when switching tabs, etc.)
  * @param {Page} newPage - New page to set as current
+ * @param {string} [name] - Browser name (default: the selected browser)
  */
-export function setCurrentPage(newPage) {
-  globalPage = newPage;
+export function setCurrentPage(newPage, name) {
+  const entry = registry.get(name);
+  entry.page = newPage;
+  trackCurrentTarget(entry, newPage);
 }
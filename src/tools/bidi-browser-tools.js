@@ -0,0 +1,585 @@
+import { z } from 'zod';
+import { writeFile } from 'fs/promises';
+import { browserArgument } from '../utils/browser-registry.js';
+import { registerScreenshotResources } from '../utils/screenshot-store.js';
+
+/**
+ * Register browser tools for Firefox over WebDriver BiDi
+ * Mirrors the names and inputs of the Playwright tools so clients see the same surface
+ * @param {McpServer} server - MCP server instance
+ * @param {Function} getBiDiClient - Function returning the connected FirefoxBiDiClient for a browser name
+ */
+export function registerBiDiBrowserTools(server, getBiDiClient) {
+
+  const getClient = (browser) => {
+    const client = getBiDiClient(browser);
+    if (!client || !client.connected) {
+      throw new Error('No active Firefox session available');
+    }
+    return client;
+  };
+
+  const saveScreenshot = registerScreenshotResources(server);
+
+  // Navigate to URL
+  server.registerTool(
+    'browser_navigate',
+    {
+      title: 'Navigate to URL',
+      description: 'Navigate the browser to a specific URL',
+      inputSchema: {
+        url: z.string().describe('URL to navigate to'),
+        waitUntil: z.enum(['load', 'domcontentloaded', 'none']).optional().describe('When to consider navigation complete (default: load)'),
+        browser: browserArgument
+      }
+    },
+    async ({ url, waitUntil = 'load', browser }) => {
+      const client = getClient(browser);
+      const wait = { load: 'complete', domcontentloaded: 'interactive', none: 'none' }[waitUntil];
+
+      try {
+        const navigation = await client.navigate(url, wait);
+        const { title } = await client.getPageInfo();
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              url: navigation.url,
+              title,
+              redirected: navigation.url !== url
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              requestedUrl: url
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Take a screenshot
+  server.registerTool(
+    'browser_screenshot',
+    {
+      title: 'Take Screenshot',
+      description: 'Take a screenshot of the current page, returned as an image',
+      inputSchema: {
+        fullPage: z.boolean().optional().describe('Capture full page (default: false)'),
+        path: z.string().optional().describe('File path to save screenshot (optional)'),
+        quality: z.number().min(0).max(100).optional().describe('JPEG quality 0-100 (default: 80)'),
+        saveAsResource: z.boolean().optional().describe('Also keep the image as a browser://screenshots/{id} resource (default: false)'),
+        browser: browserArgument
+      }
+    },
+    async ({ fullPage = false, path, quality = 80, saveAsResource = false, browser }) => {
+      const client = getClient(browser);
+      const type = path?.endsWith('.png') ? 'png' : 'jpeg';
+      const mimeType = `image/${type}`;
+
+      try {
+        const data = await client.screenshot({ fullPage, type, quality });
+
+        const result = {
+          success: true,
+          message: `Screenshot taken${path ? ` and saved to: ${path}` : ''}`,
+          fullPage,
+          path: path || null,
+          mimeType
+        };
+
+        if (path) {
+          await writeFile(path, Buffer.from(data, 'base64'));
+        }
+
+        if (saveAsResource) {
+          const { url } = await client.getPageInfo().catch(() => ({}));
+          result.resource = saveScreenshot(data, mimeType, url ? `${result.message} (${url})` : result.message);
+        }
+
+        return {
+          content: [
+            {
+              type: 'image',
+              data,
+              mimeType
+            },
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Evaluate JavaScript
+  server.registerTool(
+    'browser_evaluate',
+    {
+      title: 'Evaluate JavaScript',
+      description: 'Execute JavaScript code in the browser context',
+      inputSchema: {
+        script: z.string().describe('JavaScript expression, or a function when args are given'),
+        args: z.array(z.any()).optional().describe('Arguments to pass to the script function'),
+        browser: browserArgument
+      }
+    },
+    async ({ script, args = [], browser }) => {
+      const client = getClient(browser);
+
+      try {
+        const result = args.length > 0
+          ? await client.callFunction(script, args)
+          : await client.evaluate(script);
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              result,
+              script: script.substring(0, 100) + (script.length > 100 ? '...' : ''),
+              args
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              script: script.substring(0, 100) + (script.length > 100 ? '...' : ''),
+              args
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Get page content/HTML
+  server.registerTool(
+    'browser_get_content',
+    {
+      title: 'Get Page Content',
+      description: 'Get the HTML content of the current page',
+      inputSchema: {
+        selector: z.string().optional().describe('CSS selector to get content of specific element'),
+        textOnly: z.boolean().optional().describe('Return only text content, not HTML (default: false)'),
+        browser: browserArgument
+      }
+    },
+    async ({ selector, textOnly = false, browser }) => {
+      const client = getClient(browser);
+
+      try {
+        const { url, title } = await client.getPageInfo();
+        const content = await client.callFunction((selector, textOnly) => {
+          const element = selector ? document.querySelector(selector) : document.documentElement;
+          if (!element) {
+            throw new Error(`Element not found: ${selector}`);
+          }
+          if (textOnly) {
+            return selector ? element.textContent : document.body.textContent;
+          }
+          return selector ? element.innerHTML : element.outerHTML;
+        }, [selector ?? null, textOnly]);
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              url,
+              title,
+              selector: selector || null,
+              textOnly,
+              content: content || ''
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              selector: selector || null
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Get page info
+  server.registerTool(
+    'browser_get_page_info',
+    {
+      title: 'Get Page Information',
+      description: 'Get the URL and title of the current page',
+      inputSchema: {
+        browser: browserArgument
+      }
+    },
+    async ({ browser }) => {
+      const client = getClient(browser);
+      const pageInfo = await client.getPageInfo();
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            pageInfo: { ...pageInfo, context: client.currentContext }
+          }, null, 2)
+        }]
+      };
+    }
+  );
+
+  // Click element
+  server.registerTool(
+    'browser_click',
+    {
+      title: 'Click Element',
+      description: 'Click on an element specified by CSS selector',
+      inputSchema: {
+        selector: z.string().describe('CSS selector for the element to click'),
+        browser: browserArgument
+      }
+    },
+    async ({ selector, browser }) => {
+      const client = getClient(browser);
+
+      try {
+        await client.click(selector);
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              action: 'click',
+              selector
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              action: 'click',
+              selector
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Type text
+  server.registerTool(
+    'browser_type',
+    {
+      title: 'Type Text',
+      description: 'Type text into an input field or element',
+      inputSchema: {
+        selector: z.string().describe('CSS selector for the element to type into'),
+        text: z.string().describe('Text to type'),
+        browser: browserArgument
+      }
+    },
+    async ({ selector, text, browser }) => {
+      const client = getClient(browser);
+
+      try {
+        await client.click(selector);
+        await client.type(text);
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              action: 'type',
+              selector,
+              text: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
+              textLength: text.length
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              action: 'type',
+              selector
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Fill input
+  server.registerTool(
+    'browser_fill',
+    {
+      title: 'Fill Input',
+      description: 'Replace the value of an input field',
+      inputSchema: {
+        selector: z.string().describe('CSS selector for the input element'),
+        value: z.string().describe('Value to fill'),
+        browser: browserArgument
+      }
+    },
+    async ({ selector, value, browser }) => {
+      const client = getClient(browser);
+
+      try {
+        await client.fill(selector, value);
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              action: 'fill',
+              selector,
+              value: value.substring(0, 100) + (value.length > 100 ? '...' : ''),
+              valueLength: value.length
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              action: 'fill',
+              selector
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Press key
+  server.registerTool(
+    'browser_press_key',
+    {
+      title: 'Press Key',
+      description: 'Press a keyboard key or key combination',
+      inputSchema: {
+        key: z.string().describe('Key to press (e.g., "Enter", "Tab", "Escape", "Control+a")'),
+        browser: browserArgument
+      }
+    },
+    async ({ key, browser }) => {
+      const client = getClient(browser);
+
+      try {
+        await client.press(key);
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              action: 'press_key',
+              key
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              action: 'press_key',
+              key
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // List all tabs
+  server.registerTool(
+    'browser_list_tabs',
+    {
+      title: 'List All Tabs',
+      description: 'Get information about all open tabs',
+      inputSchema: {
+        browser: browserArgument
+      }
+    },
+    async ({ browser }) => {
+      const client = getClient(browser);
+      const contexts = await client.getContexts();
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            totalTabs: contexts.length,
+            tabs: contexts.map((context, index) => ({
+              index,
+              id: context.context,
+              url: context.url,
+              isCurrent: context.context === client.currentContext
+            }))
+          }, null, 2)
+        }]
+      };
+    }
+  );
+
+  // Switch to tab by index
+  server.registerTool(
+    'browser_switch_tab',
+    {
+      title: 'Switch to Tab',
+      description: 'Switch to a specific tab by index',
+      inputSchema: {
+        index: z.number().describe('Tab index to switch to (0-based)'),
+        browser: browserArgument
+      }
+    },
+    async ({ index, browser }) => {
+      const client = getClient(browser);
+
+      try {
+        const contexts = await client.getContexts();
+        if (index < 0 || index >= contexts.length) {
+          throw new Error(`Tab index ${index} out of range. Available tabs: 0-${contexts.length - 1}`);
+        }
+
+        await client.selectContext(contexts[index].context);
+        const { url, title } = await client.getPageInfo();
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              action: 'switch_tab',
+              index,
+              url,
+              title
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              action: 'switch_tab',
+              requestedIndex: index
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Open new tab
+  server.registerTool(
+    'browser_new_tab',
+    {
+      title: 'Open New Tab',
+      description: 'Open a new tab in the browser',
+      inputSchema: {
+        url: z.string().optional().describe('URL to open in new tab (optional)'),
+        switchTo: z.boolean().optional().describe('Switch to the new tab (default: true)'),
+        browser: browserArgument
+      }
+    },
+    async ({ url, switchTo = true, browser }) => {
+      const client = getClient(browser);
+
+      try {
+        const { context } = await client.createContext(url);
+        if (switchTo) {
+          await client.selectContext(context);
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              action: 'new_tab',
+              id: context,
+              url: url || 'about:blank',
+              switchedTo: switchTo
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              action: 'new_tab',
+              requestedUrl: url || null
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+}
@@ -1,68 +1,235 @@
 import { z } from 'zod';
+import { browserArgument } from '../utils/browser-registry.js';
+import { frameArgument, resolveFrame } from '../utils/frames.js';
+import { REF_ATTRIBUTE, ariaSnapshot } from '../utils/aria-snapshot.js';
+import { consoleLogArguments, pageConsoleBuffer } from '../utils/console-buffer.js';
+import { registerScreenshotResources } from '../utils/screenshot-store.js';
+
+/**
+ * Pixel size of a PNG or JPEG image, read from its header
+ * @param {Buffer} image - Image bytes
+ * @returns {{width: number, height: number}|null} Size, or null for other formats
+ */
+function imageSize(image) {
+  if (image.readUInt32BE(0) === 0x89504e47) {
+    return { width: image.readUInt32BE(16), height: image.readUInt32BE(20) };
+  }
+  // JPEG: walk the segments up to a start-of-frame marker (C0-CF except DHT, JPG and DAC)
+  for (let offset = 2; offset + 9 < image.length; offset += 2 + image.readUInt16BE(offset + 2)) {
+    const marker = image[offset + 1];
+    if (image[offset] !== 0xff) {
+      break;
+    }
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: image.readUInt16BE(offset + 7), height: image.readUInt16BE(offset + 5) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Capture the region of a screenshot again at a smaller scale with CDP's Page.captureScreenshot
+ * The browser does the resizing, so nothing runs in (or depends on) the page itself.
+ * @param {Page} page - Playwright page
+ * @param {Object} options - Capture options
+ * @param {Locator} [options.locator] - Element to capture (already scrolled into view by the first screenshot)
+ * @param {boolean} options.fullPage - Capture the whole document
+ * @param {string} options.type - 'png' or 'jpeg'
+ * @param {number} options.quality - JPEG quality 0-100
+ * @param {number} options.scale - Scale factor below 1
+ * @returns {Promise<Buffer>} Downscaled image
+ */
+async function captureScaled(page, { locator, fullPage, type, quality, scale }) {
+  const session = await page.context().newCDPSession(page);
+  try {
+    const { cssVisualViewport: viewport, cssContentSize } = await session.send('Page.getLayoutMetrics');
+
+    // Clips are in CSS pixels relative to the document
+    let clip;
+    if (locator) {
+      const box = await locator.boundingBox();
+      if (!box) {
+        throw new Error('Element is not visible');
+      }
+      clip = { x: box.x + viewport.pageX, y: box.y + viewport.pageY, width: box.width, height: box.height };
+    } else if (fullPage) {
+      clip = { x: 0, y: 0, width: cssContentSize.width, height: cssContentSize.height };
+    } else {
+      clip = { x: viewport.pageX, y: viewport.pageY, width: viewport.clientWidth, height: viewport.clientHeight };
+    }
+
+    const { data } = await session.send('Page.captureScreenshot', {
+      format: type,
+      ...(type === 'jpeg' && { quality }),
+      clip: { ...clip, scale },
+      captureBeyondViewport: fullPage
+    });
+    return Buffer.from(data, 'base64');
+  } finally {
+    await session.detach().catch(() => {});
+  }
+}
 
 /**
  * Register browser management tools
  * @param {McpServer} server - MCP server instance
- * @param {Function} getBrowserInstances - Function to get current browser instances
+ * @param {Function} getBrowserInstances - Function (sync or async) to get current browser instances
  */
 export function registerBrowserTools(server, getBrowserInstances) {
+  const saveScreenshot = registerScreenshotResources(server);
 
   // Take a screenshot
   server.registerTool(
     'browser_screenshot',
     {
       title: 'Take Screenshot',
-      description: 'Take a screenshot of the current page or a specific element',
+      description: 'Take a screenshot of the current page or a specific element, returned as an image',
       inputSchema: {
         fullPage: z.boolean().optional().describe('Capture full page (default: false)'),
         element: z.string().optional().describe('CSS selector for specific element to screenshot'),
         path: z.string().optional().describe('File path to save screenshot (optional)'),
-        quality: z.number().min(0).max(100).optional().describe('JPEG quality 0-100 (default: 80)')
+        quality: z.number().min(0).max(100).optional().describe('JPEG quality 0-100 (default: 80)'),
+        maxDimension: z.number().int().positive().optional().describe('Downscale the returned image so its longest side is at most this many pixels (the saved file keeps full size)'),
+        saveAsResource: z.boolean().optional().describe('Also keep the image as a browser://screenshots/{id} resource (default: false)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ fullPage = false, element, path, quality = 80 }) => {
-      const { page } = getBrowserInstances();
+    async ({ fullPage = false, element, path, quality = 80, maxDimension, saveAsResource = false, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
+        const scope = await resolveFrame(page, frame);
+        const type = path?.endsWith('.png') ? 'png' : 'jpeg';
+        const mimeType = `image/${type}`;
         let screenshotOptions = {
           fullPage,
-          quality,
-          type: path?.endsWith('.png') ? 'png' : 'jpeg'
+          type
         };
+        if (type === 'jpeg') {
+          screenshotOptions.quality = quality;
+        }
 
         if (path) {
           screenshotOptions.path = path;
         }
 
         let screenshot;
-        if (element) {
-          const elementHandle = await page.locator(element).first();
-          screenshot = await elementHandle.screenshot(screenshotOptions);
+        const locator = element ? scope.locator(element).first() : null;
+        if (locator) {
+          screenshot = await locator.screenshot(screenshotOptions);
         } else {
           screenshot = await page.screenshot(screenshotOptions);
         }
 
+        let size = null;
+        const original = maxDimension ? imageSize(screenshot) : null;
+        if (original) {
+          const { width: originalWidth, height: originalHeight } = original;
+          size = { width: originalWidth, height: originalHeight, originalWidth, originalHeight };
+
+          const scale = maxDimension / Math.max(originalWidth, originalHeight);
+          if (scale < 1) {
+            // Keep the full-size image if the browser can't capture a scaled one (e.g. no CDP)
+            try {
+              const scaled = await captureScaled(page, { locator, fullPage, type, quality, scale });
+              size = { ...size, ...imageSize(scaled) };
+              screenshot = scaled;
+            } catch (error) {
+              size.downscaleError = error.message;
+            }
+          }
+        }
+        const data = screenshot.toString('base64');
+
         const result = {
           success: true,
           message: `Screenshot taken${element ? ` of element: ${element}` : ''}${path ? ` and saved to: ${path}` : ''}`,
           fullPage,
           element: element || null,
-          path: path || null
+          path: path || null,
+          mimeType,
+          ...size
         };
 
-        // If no path specified, return base64 data
-        if (!path && screenshot) {
-          result.base64 = screenshot.toString('base64');
-          result.dataUrl = `data:image/${screenshotOptions.type};base64,${result.base64}`;
+        if (saveAsResource) {
+          result.resource = saveScreenshot(data, mimeType, `${result.message} (${page.url()})`);
         }
 
+        return {
+          content: [
+            {
+              type: 'image',
+              data,
+              mimeType
+            },
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }
+          ]
+        };
+      } catch (error) {
         return {
           content: [{
             type: 'text',
-            text: JSON.stringify(result, null, 2)
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              element: element || null
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Accessibility snapshot with element refs
+  server.registerTool(
+    'browser_snapshot',
+    {
+      title: 'Accessibility Snapshot',
+      description: 'List the page as an accessibility tree (roles, names, states, values). Each element gets a ref like "e12" that browser_click, browser_type, browser_fill, browser_hover and browser_select_option accept instead of a selector',
+      inputSchema: {
+        selector: z.string().optional().describe('CSS selector of the element to snapshot (default: whole page)'),
+        frame: frameArgument,
+        browser: browserArgument
+      }
+    },
+    async ({ selector, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
+      if (!page) {
+        throw new Error('No active page available');
+      }
+
+      try {
+        const scope = await resolveFrame(page, frame);
+        // Playwright's selector engine pierces shadow roots, the same way refs are looked up
+        const root = selector ? await scope.$(selector) : null;
+        if (selector && !root) {
+          throw new Error(`Element not found: ${selector}`);
+        }
+        let snapshot;
+        try {
+          snapshot = await scope.evaluate(ariaSnapshot, { refAttribute: REF_ATTRIBUTE, root });
+        } finally {
+          await root?.dispose();
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              url: scope.url(),
+              title: await scope.title(),
+              selector: selector || null,
+              snapshot
+            }, null, 2)
           }]
         };
       } catch (error) {
@@ -72,7 +239,7 @@ export function registerBrowserTools(server, getBrowserInstances) {
             text: JSON.stringify({
               success: false,
               error: error.message,
-              element: element || null
+              selector: selector || null
             }, null, 2)
           }],
           isError: true
@@ -89,29 +256,32 @@ export function registerBrowserTools(server, getBrowserInstances) {
       description: 'Get the HTML content of the current page',
       inputSchema: {
         selector: z.string().optional().describe('CSS selector to get content of specific element'),
-        textOnly: z.boolean().optional().describe('Return only text content, not HTML (default: false)')
+        textOnly: z.boolean().optional().describe('Return only text content, not HTML (default: false)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ selector, textOnly = false }) => {
-      const { page } = getBrowserInstances();
+    async ({ selector, textOnly = false, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
+        const scope = await resolveFrame(page, frame);
         let content;
-        const url = page.url();
-        const title = await page.title();
+        const url = scope.url();
+        const title = await scope.title();
 
         if (selector) {
-          const element = page.locator(selector).first();
+          const element = scope.locator(selector).first();
           content = textOnly 
             ? await element.textContent()
             : await element.innerHTML();
         } else {
           content = textOnly 
-            ? await page.textContent('body')
-            : await page.content();
+            ? await scope.textContent('body')
+            : await scope.content();
         }
 
         return {
@@ -154,27 +324,30 @@ export function registerBrowserTools(server, getBrowserInstances) {
         state: z.enum(['visible', 'hidden', 'attached', 'detached']).optional().describe('Element state to wait for'),
         timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)'),
         text: z.string().optional().describe('Wait for element containing this text'),
-        url: z.string().optional().describe('Wait for URL to match this pattern')
+        url: z.string().optional().describe('Wait for URL to match this pattern'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ selector, state = 'visible', timeout = 30000, text, url }) => {
-      const { page } = getBrowserInstances();
+    async ({ selector, state = 'visible', timeout = 30000, text, url, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
+        const scope = await resolveFrame(page, frame, { timeout });
         let result;
 
         if (url) {
-          await page.waitForURL(url, { timeout });
-          result = { condition: 'url', value: url, currentUrl: page.url() };
+          await scope.waitForURL(url, { timeout });
+          result = { condition: 'url', value: url, currentUrl: scope.url() };
         } else if (selector) {
           if (text) {
-            await page.waitForSelector(`${selector}:has-text("${text}")`, { state, timeout });
+            await scope.waitForSelector(`${selector}:has-text("${text}")`, { state, timeout });
             result = { condition: 'selector_with_text', selector, text, state };
           } else {
-            await page.waitForSelector(selector, { state, timeout });
+            await scope.waitForSelector(selector, { state, timeout });
             result = { condition: 'selector', selector, state };
           }
         } else {
@@ -218,17 +391,20 @@ export function registerBrowserTools(server, getBrowserInstances) {
       description: 'Execute JavaScript code in the browser context',
       inputSchema: {
         script: z.string().describe('JavaScript code to execute'),
-        args: z.array(z.any()).optional().describe('Arguments to pass to the script')
+        args: z.array(z.any()).optional().describe('Arguments to pass to the script'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ script, args = [] }) => {
-      const { page } = getBrowserInstances();
+    async ({ script, args = [], frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
-        const result = await page.evaluate(script, ...args);
+        const scope = await resolveFrame(page, frame);
+        const result = await scope.evaluate(script, ...args);
         
         return {
           content: [{
@@ -257,4 +433,38 @@ export function registerBrowserTools(server, getBrowserInstances) {
       }
     }
   );
+
+  // Console messages and uncaught page errors
+  server.registerTool(
+    'browser_get_console_logs',
+    {
+      title: 'Get Console Logs',
+      description: 'Read console messages and uncaught exceptions (including unhandled promise rejections) of the current page. Pass the returned cursor as since to get only newer entries',
+      inputSchema: {
+        ...consoleLogArguments,
+        browser: browserArgument
+      }
+    },
+    async ({ level, text, since, limit, clear, browser }) => {
+      const { page } = await getBrowserInstances(browser);
+      if (!page) {
+        throw new Error('No active page available');
+      }
+
+      const result = pageConsoleBuffer(page).read({ level, text, since, limit, clear });
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            url: page.url(),
+            count: result.entries.length,
+            ...result,
+            cleared: !!clear
+          }, null, 2)
+        }]
+      };
+    }
+  );
 }
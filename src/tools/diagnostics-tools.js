@@ -0,0 +1,82 @@
+import { z } from 'zod';
+import { getLastAttachReport } from '../utils/attach.js';
+import { diagnoseConnection } from '../utils/diagnostics.js';
+
+/**
+ * Register the connection diagnostics tool and resource
+ * @param {McpServer} server - MCP server instance
+ * @param {Object} defaults - Connection settings the server was started with ({ host, brand, customPort, scanPorts })
+ */
+export function registerDiagnosticsTools(server, defaults = {}) {
+
+  const buildReport = async (options) => ({
+    lastAttach: getLastAttachReport(),
+    probe: await diagnoseConnection(options)
+  });
+
+  // Diagnose browser connection
+  server.registerTool(
+    'browser_diagnose_connection',
+    {
+      title: 'Diagnose Browser Connection',
+      description: 'Probe debugging ports and report per endpoint whether a browser process was found, the port answered, its /json/version payload, protocol version and WebSocket errors, plus the attempts of the last attach',
+      inputSchema: {
+        port: z.number().optional().describe('Only probe this port (default: the server\'s port, or discovery and the default ports)'),
+        host: z.string().optional().describe('Host to probe (default: the server\'s host)'),
+        brand: z.enum(['detect', 'chrome', 'edge', 'firefox']).optional().describe('Browser brand to check (default: the server\'s brand preference)'),
+        scanPorts: z.string().optional().describe('Also scan a port range, e.g. "9222-9300"')
+      }
+    },
+    async ({ port, host, brand, scanPorts }) => {
+      try {
+        const report = await buildReport({
+          host: host ?? defaults.host,
+          brand: brand ?? defaults.brand,
+          customPort: port ?? defaults.customPort,
+          scanPorts: scanPorts ?? defaults.scanPorts
+        });
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              ...report
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              lastAttach: getLastAttachReport()
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Add a resource for connection diagnostics
+  server.registerResource(
+    'browser-diagnostics',
+    'browser://diagnostics',
+    {
+      title: 'Browser Connection Diagnostics',
+      description: 'Structured attempts of the last attach and a fresh probe of the configured debugging ports',
+      mimeType: 'application/json'
+    },
+    async () => {
+      return {
+        contents: [{
+          uri: 'browser://diagnostics',
+          text: JSON.stringify(await buildReport(defaults), null, 2)
+        }]
+      };
+    }
+  );
+}
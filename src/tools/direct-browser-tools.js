@@ -1,4 +1,7 @@
 import { z } from 'zod';
+import { REF_ATTRIBUTE, ariaSnapshot, refArgument, targetSelector } from '../utils/aria-snapshot.js';
+import { consoleLogArguments, sessionConsoleBuffer } from '../utils/console-buffer.js';
+import { describeElements, elementAttribute, elementState, elementText, scrollTo, selectOptions } from '../utils/page-functions.js';
 
 /**
  * Register all 25+ browser automation tools for direct CDP control
@@ -13,20 +16,13 @@ export function registerDirectBrowserTools(server, getCDPClient, getPages, activ
       title: 'Press Key',
       description: 'Press a keyboard key or key combination',
       inputSchema: {
-        key: z.string().describe('Key to press (e.g., "Enter", "Tab", "Escape", "ArrowDown")')
+        key: z.string().describe('Key or combination to press (e.g., "Enter", "Tab", "ArrowDown", "Control+A", "Control+Shift+T", "ControlOrMeta+A")')
       }
     },
     async ({ key }) => {
       const client = await getCDPClient();
       
-      await client.sendCommand('Input.dispatchKeyEvent', {
-        type: 'keyDown',
-        key: key
-      });
-      await client.sendCommand('Input.dispatchKeyEvent', {
-        type: 'keyUp',
-        key: key
-      });
+      await client.press(key);
       
       return {
         content: [{
@@ -46,35 +42,18 @@ export function registerDirectBrowserTools(server, getCDPClient, getPages, activ
     'browser_hover',
     {
       title: 'Hover Over Element',
-      description: 'Hover the mouse over an element',
+      description: 'Hover the mouse over an element. Waits until the element is visible, stable and not covered by another element, scrolling it into view',
       inputSchema: {
-        selector: z.string().describe('CSS selector for the element to hover over')
+        selector: z.string().optional().describe('CSS selector for the element to hover over'),
+        ref: refArgument,
+        timeout: z.number().optional().describe('Milliseconds to wait for the element to be actionable (default: 30000)')
       }
     },
-    async ({ selector }) => {
+    async ({ selector, ref, timeout }) => {
       const client = await getCDPClient();
       
-      // Get element coordinates
-      const result = await client.sendCommand('Runtime.evaluate', {
-        expression: `
-          const element = document.querySelector('${selector}');
-          if (!element) throw new Error('Element not found: ${selector}');
-          const rect = element.getBoundingClientRect();
-          ({ x: rect.left + rect.width/2, y: rect.top + rect.height/2 });
-        `
-      });
-      
-      if (result.exceptionDetails) {
-        throw new Error(result.exceptionDetails.exception.description);
-      }
-      
-      const { x, y } = result.result.value;
-      
-      // Move mouse to element
-      await client.sendCommand('Input.dispatchMouseEvent', {
-        type: 'mouseMoved',
-        x, y
-      });
+      // Move the mouse to the element once it can receive it
+      const { x, y } = await client.hover(targetSelector({ selector, ref }), { timeout });
       
       return {
         content: [{
@@ -82,7 +61,8 @@ export function registerDirectBrowserTools(server, getCDPClient, getPages, activ
           text: JSON.stringify({
             success: true,
             action: 'hover',
-            selector,
+            selector: selector || null,
+            ref: ref || null,
             coordinates: { x, y }
           }, null, 2)
         }]
@@ -104,29 +84,7 @@ export function registerDirectBrowserTools(server, getCDPClient, getPages, activ
     async ({ selector, limit = 10 }) => {
       const client = await getCDPClient();
       
-      const result = await client.sendCommand('Runtime.evaluate', {
-        expression: `
-          const elements = Array.from(document.querySelectorAll('${selector}')).slice(0, ${limit});
-          elements.map((el, index) => ({
-            index,
-            tagName: el.tagName.toLowerCase(),
-            text: el.textContent?.trim().substring(0, 100) || '',
-            attributes: {
-              id: el.id || null,
-              class: el.className || null,
-              href: el.href || null,
-              src: el.src || null
-            },
-            visible: el.offsetParent !== null
-          }));
-        `
-      });
-      
-      if (result.exceptionDetails) {
-        throw new Error(result.exceptionDetails.exception.description);
-      }
-      
-      const elements = result.result.value;
+      const elements = await client.callFunction(describeElements, [selector, limit]);
       
       return {
         content: [{
@@ -156,17 +114,7 @@ export function registerDirectBrowserTools(server, getCDPClient, getPages, activ
     async ({ selector }) => {
       const client = await getCDPClient();
       
-      const result = await client.sendCommand('Runtime.evaluate', {
-        expression: `
-          const element = document.querySelector('${selector}');
-          if (!element) throw new Error('Element not found: ${selector}');
-          element.textContent;
-        `
-      });
-      
-      if (result.exceptionDetails) {
-        throw new Error(result.exceptionDetails.exception.description);
-      }
+      const text = await client.callFunction(elementText, [selector]);
       
       return {
         content: [{
@@ -175,7 +123,7 @@ export function registerDirectBrowserTools(server, getCDPClient, getPages, activ
             success: true,
             action: 'get_text',
             selector,
-            text: result.result.value
+            text
           }, null, 2)
         }]
       };
@@ -196,17 +144,7 @@ export function registerDirectBrowserTools(server, getCDPClient, getPages, activ
     async ({ selector, attribute }) => {
       const client = await getCDPClient();
       
-      const result = await client.sendCommand('Runtime.evaluate', {
-        expression: `
-          const element = document.querySelector('${selector}');
-          if (!element) throw new Error('Element not found: ${selector}');
-          element.getAttribute('${attribute}');
-        `
-      });
-      
-      if (result.exceptionDetails) {
-        throw new Error(result.exceptionDetails.exception.description);
-      }
+      const value = await client.callFunction(elementAttribute, [selector, attribute]);
       
       return {
         content: [{
@@ -216,7 +154,7 @@ export function registerDirectBrowserTools(server, getCDPClient, getPages, activ
             action: 'get_attribute',
             selector,
             attribute,
-            value: result.result.value
+            value
           }, null, 2)
         }]
       };
@@ -241,16 +179,7 @@ export function registerDirectBrowserTools(server, getCDPClient, getPages, activ
       const startTime = Date.now();
       
       while (Date.now() - startTime < timeout) {
-        const result = await client.sendCommand('Runtime.evaluate', {
-          expression: `
-            const element = document.querySelector('${selector}');
-            const exists = element !== null;
-            const visible = element && element.offsetParent !== null;
-            ({ exists, visible });
-          `
-        });
-        
-        const { exists, visible } = result.result.value;
+        const { exists, visible } = await client.callFunction(elementState, [selector]);
         
         if (state === 'visible' && exists && visible) {
           return {
@@ -303,28 +232,7 @@ export function registerDirectBrowserTools(server, getCDPClient, getPages, activ
     async ({ x = 0, y = 0, selector }) => {
       const client = await getCDPClient();
       
-      let expression;
-      if (selector) {
-        expression = `
-          const element = document.querySelector('${selector}');
-          if (!element) throw new Error('Element not found: ${selector}');
-          element.scrollTo(${x}, ${y});
-          ({ scrollLeft: element.scrollLeft, scrollTop: element.scrollTop });
-        `;
-      } else {
-        expression = `
-          window.scrollTo(${x}, ${y});
-          ({ scrollLeft: window.scrollX, scrollTop: window.scrollY });
-        `;
-      }
-      
-      const result = await client.sendCommand('Runtime.evaluate', {
-        expression
-      });
-      
-      if (result.exceptionDetails) {
-        throw new Error(result.exceptionDetails.exception.description);
-      }
+      const position = await client.callFunction(scrollTo, [selector ?? null, x, y]);
       
       return {
         content: [{
@@ -333,11 +241,113 @@ export function registerDirectBrowserTools(server, getCDPClient, getPages, activ
             success: true,
             action: 'scroll',
             selector: selector || 'page',
-            position: result.result.value
+            position
+          }, null, 2)
+        }]
+      };
+    }
+  );
+
+  // 16. Accessibility Snapshot
+  server.registerTool(
+    'browser_snapshot',
+    {
+      title: 'Accessibility Snapshot',
+      description: 'List the page as an accessibility tree (roles, names, states, values). Each element gets a ref like "e12" that browser_click, browser_type, browser_fill, browser_hover and browser_select_option accept instead of a selector',
+      inputSchema: {
+        selector: z.string().optional().describe('CSS selector of the element to snapshot (default: whole page)')
+      }
+    },
+    async ({ selector }) => {
+      const client = await getCDPClient();
+
+      const snapshot = await client.callFunction(ariaSnapshot, [{ refAttribute: REF_ATTRIBUTE, selector }]);
+      const { url, title } = await client.getPageInfo();
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            url,
+            title,
+            selector: selector || null,
+            snapshot
           }, null, 2)
         }]
       };
     }
   );
 
+  // 17. Console Logs
+  server.registerTool(
+    'browser_get_console_logs',
+    {
+      title: 'Get Console Logs',
+      description: 'Read console messages and uncaught exceptions (including unhandled promise rejections) of the current tab or target. Pass the returned cursor as since to get only newer entries',
+      inputSchema: consoleLogArguments
+    },
+    async ({ level, text, since, limit, clear }) => {
+      const client = await getCDPClient();
+
+      // Recording starts when a target becomes current; this also covers sessions attached elsewhere
+      const buffer = await sessionConsoleBuffer(client);
+      const result = buffer.read({ level, text, since, limit, clear });
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            url: client.targetInfo?.url ?? null,
+            count: result.entries.length,
+            ...result,
+            cleared: !!clear
+          }, null, 2)
+        }]
+      };
+    }
+  );
+
+  // 18. Select Option
+  server.registerTool(
+    'browser_select_option',
+    {
+      title: 'Select Option',
+      description: 'Select options of a <select> element by value, label or index, firing input and change events',
+      inputSchema: {
+        selector: z.string().optional().describe('CSS selector for the select element'),
+        ref: refArgument,
+        value: z.union([z.string(), z.array(z.string())]).optional().describe('Option value(s) to select'),
+        label: z.union([z.string(), z.array(z.string())]).optional().describe('Option label(s) to select'),
+        index: z.union([z.number(), z.array(z.number())]).optional().describe('Option index(es) to select')
+      }
+    },
+    async ({ selector, ref, value, label, index }) => {
+      if (value === undefined && label === undefined && index === undefined) {
+        throw new Error('Must specify value, label, or index to select');
+      }
+      const client = await getCDPClient();
+
+      const selectedValues = await client.callFunction(selectOptions, [targetSelector({ selector, ref }), {
+        value: [].concat(value ?? []),
+        label: [].concat(label ?? []),
+        index: [].concat(index ?? [])
+      }]);
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            action: 'select_option',
+            selector: selector || null,
+            ref: ref || null,
+            selectedValues,
+            criteria: { value, label, index }
+          }, null, 2)
+        }]
+      };
+    }
+  );
 }
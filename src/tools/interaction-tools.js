@@ -1,9 +1,13 @@
 import { z } from 'zod';
+import { browserArgument } from '../utils/browser-registry.js';
+import { frameArgument, resolveFrame } from '../utils/frames.js';
+import { refArgument } from '../utils/aria-snapshot.js';
+import { locate, targetArgument } from '../utils/locators.js';
 
 /**
  * Register interaction tools for clicking, typing, etc.
  * @param {McpServer} server - MCP server instance
- * @param {Function} getBrowserInstances - Function to get current browser instances
+ * @param {Function} getBrowserInstances - Function (sync or async) to get current browser instances
  */
 export function registerInteractionTools(server, getBrowserInstances) {
 
@@ -12,23 +16,28 @@ export function registerInteractionTools(server, getBrowserInstances) {
     'browser_click',
     {
       title: 'Click Element',
-      description: 'Click on an element specified by CSS selector',
+      description: 'Click on an element specified by CSS selector, snapshot ref or semantic target',
       inputSchema: {
-        selector: z.string().describe('CSS selector for the element to click'),
+        selector: z.string().optional().describe('CSS selector for the element to click'),
+        ref: refArgument,
+        target: targetArgument,
         button: z.enum(['left', 'right', 'middle']).optional().describe('Mouse button to use (default: left)'),
         clickCount: z.number().optional().describe('Number of clicks (default: 1)'),
         force: z.boolean().optional().describe('Force click even if element is not actionable'),
-        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)')
+        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ selector, button = 'left', clickCount = 1, force = false, timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ selector, ref, target, button = 'left', clickCount = 1, force = false, timeout = 30000, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
-        const element = page.locator(selector).first();
+        const scope = await resolveFrame(page, frame, { timeout });
+        const element = await locate(scope, { selector, ref, target });
         await element.click({ 
           button, 
           clickCount, 
@@ -42,7 +51,9 @@ export function registerInteractionTools(server, getBrowserInstances) {
             text: JSON.stringify({
               success: true,
               action: 'click',
-              selector,
+              selector: selector || null,
+              ref: ref || null,
+              target: target || null,
               button,
               clickCount,
               force
@@ -73,21 +84,26 @@ export function registerInteractionTools(server, getBrowserInstances) {
       title: 'Type Text',
       description: 'Type text into an input field or element',
       inputSchema: {
-        selector: z.string().describe('CSS selector for the element to type into'),
+        selector: z.string().optional().describe('CSS selector for the element to type into'),
+        ref: refArgument,
+        target: targetArgument,
         text: z.string().describe('Text to type'),
         delay: z.number().optional().describe('Delay between keystrokes in milliseconds'),
         clear: z.boolean().optional().describe('Clear existing text before typing (default: false)'),
-        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)')
+        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ selector, text, delay, clear = false, timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ selector, ref, target, text, delay, clear = false, timeout = 30000, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
-        const element = page.locator(selector).first();
+        const scope = await resolveFrame(page, frame, { timeout });
+        const element = await locate(scope, { selector, ref, target });
         
         if (clear) {
           await element.clear({ timeout });
@@ -101,7 +117,9 @@ export function registerInteractionTools(server, getBrowserInstances) {
             text: JSON.stringify({
               success: true,
               action: 'type',
-              selector,
+              selector: selector || null,
+              ref: ref || null,
+              target: target || null,
               text: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
               textLength: text.length,
               cleared: clear,
@@ -133,20 +151,25 @@ export function registerInteractionTools(server, getBrowserInstances) {
       title: 'Fill Input',
       description: 'Fill an input field with text (faster than typing)',
       inputSchema: {
-        selector: z.string().describe('CSS selector for the input element'),
+        selector: z.string().optional().describe('CSS selector for the input element'),
+        ref: refArgument,
+        target: targetArgument,
         value: z.string().describe('Value to fill'),
         force: z.boolean().optional().describe('Force fill even if element is not editable'),
-        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)')
+        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ selector, value, force = false, timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ selector, ref, target, value, force = false, timeout = 30000, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
-        const element = page.locator(selector).first();
+        const scope = await resolveFrame(page, frame, { timeout });
+        const element = await locate(scope, { selector, ref, target });
         await element.fill(value, { force, timeout });
 
         return {
@@ -155,7 +178,9 @@ export function registerInteractionTools(server, getBrowserInstances) {
             text: JSON.stringify({
               success: true,
               action: 'fill',
-              selector,
+              selector: selector || null,
+              ref: ref || null,
+              target: target || null,
               value: value.substring(0, 100) + (value.length > 100 ? '...' : ''),
               valueLength: value.length,
               force
@@ -188,18 +213,23 @@ export function registerInteractionTools(server, getBrowserInstances) {
       inputSchema: {
         key: z.string().describe('Key to press (e.g., "Enter", "Tab", "Escape", "Control+a")'),
         selector: z.string().optional().describe('CSS selector to focus before pressing key'),
-        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)')
+        ref: refArgument,
+        target: targetArgument,
+        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ key, selector, timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ key, selector, ref, target, timeout = 30000, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
-        if (selector) {
-          const element = page.locator(selector).first();
+        const scope = await resolveFrame(page, frame, { timeout });
+        if (selector || ref || target) {
+          const element = await locate(scope, { selector, ref, target });
           await element.focus({ timeout });
           await element.press(key);
         } else {
@@ -214,7 +244,9 @@ export function registerInteractionTools(server, getBrowserInstances) {
               action: 'press_key',
               key,
               selector: selector || null,
-              focused: !!selector
+              ref: ref || null,
+              target: target || null,
+              focused: !!(selector || ref || target)
             }, null, 2)
           }]
         };
@@ -227,7 +259,9 @@ export function registerInteractionTools(server, getBrowserInstances) {
               error: error.message,
               action: 'press_key',
               key,
-              selector: selector || null
+              selector: selector || null,
+              ref: ref || null,
+              target: target || null
             }, null, 2)
           }],
           isError: true
@@ -243,19 +277,24 @@ export function registerInteractionTools(server, getBrowserInstances) {
       title: 'Hover Over Element',
       description: 'Hover the mouse over an element',
       inputSchema: {
-        selector: z.string().describe('CSS selector for the element to hover over'),
+        selector: z.string().optional().describe('CSS selector for the element to hover over'),
+        ref: refArgument,
+        target: targetArgument,
         force: z.boolean().optional().describe('Force hover even if element is not visible'),
-        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)')
+        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ selector, force = false, timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ selector, ref, target, force = false, timeout = 30000, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
-        const element = page.locator(selector).first();
+        const scope = await resolveFrame(page, frame, { timeout });
+        const element = await locate(scope, { selector, ref, target });
         await element.hover({ force, timeout });
 
         return {
@@ -264,7 +303,9 @@ export function registerInteractionTools(server, getBrowserInstances) {
             text: JSON.stringify({
               success: true,
               action: 'hover',
-              selector,
+              selector: selector || null,
+              ref: ref || null,
+              target: target || null,
               force
             }, null, 2)
           }]
@@ -293,21 +334,26 @@ export function registerInteractionTools(server, getBrowserInstances) {
       title: 'Select Option',
       description: 'Select an option from a dropdown/select element',
       inputSchema: {
-        selector: z.string().describe('CSS selector for the select element'),
+        selector: z.string().optional().describe('CSS selector for the select element'),
+        ref: refArgument,
+        target: targetArgument,
         value: z.union([z.string(), z.array(z.string())]).optional().describe('Option value(s) to select'),
         label: z.union([z.string(), z.array(z.string())]).optional().describe('Option label(s) to select'),
         index: z.union([z.number(), z.array(z.number())]).optional().describe('Option index(es) to select'),
-        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)')
+        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ selector, value, label, index, timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ selector, ref, target, value, label, index, timeout = 30000, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
-        const element = page.locator(selector).first();
+        const scope = await resolveFrame(page, frame, { timeout });
+        const element = await locate(scope, { selector, ref, target });
         
         let selectedValues;
         if (value !== undefined) {
@@ -326,7 +372,9 @@ export function registerInteractionTools(server, getBrowserInstances) {
             text: JSON.stringify({
               success: true,
               action: 'select_option',
-              selector,
+              selector: selector || null,
+              ref: ref || null,
+              target: target || null,
               selectedValues,
               criteria: { value, label, index }
             }, null, 2)
@@ -340,7 +388,9 @@ export function registerInteractionTools(server, getBrowserInstances) {
               success: false,
               error: error.message,
               action: 'select_option',
-              selector,
+              selector: selector || null,
+              ref: ref || null,
+              target: target || null,
               criteria: { value, label, index }
             }, null, 2)
           }],
@@ -360,18 +410,21 @@ export function registerInteractionTools(server, getBrowserInstances) {
         sourceSelector: z.string().describe('CSS selector for the element to drag'),
         targetSelector: z.string().describe('CSS selector for the drop target'),
         force: z.boolean().optional().describe('Force drag even if elements are not actionable'),
-        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)')
+        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ sourceSelector, targetSelector, force = false, timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ sourceSelector, targetSelector, force = false, timeout = 30000, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
-        const sourceElement = page.locator(sourceSelector).first();
-        const targetElement = page.locator(targetSelector).first();
+        const scope = await resolveFrame(page, frame, { timeout });
+        const sourceElement = scope.locator(sourceSelector).first();
+        const targetElement = scope.locator(targetSelector).first();
         
         await sourceElement.dragTo(targetElement, { force, timeout });
 
@@ -1,12 +1,14 @@
 import { z } from 'zod';
-import { setCurrentPage } from '../server.js';
+import { browserArgument } from '../utils/browser-registry.js';
+import { setCurrentPage as setServerCurrentPage } from '../server.js';
 
 /**
  * Register navigation tools
  * @param {McpServer} server - MCP server instance  
- * @param {Function} getBrowserInstances - Function to get current browser instances
+ * @param {Function} getBrowserInstances - Function (sync or async) to get current browser instances
+ * @param {Function} [setCurrentPage] - Function to change the current page (default: the stdio server's)
  */
-export function registerNavigationTools(server, getBrowserInstances) {
+export function registerNavigationTools(server, getBrowserInstances, setCurrentPage = setServerCurrentPage) {
 
   // Navigate to URL
   server.registerTool(
@@ -17,11 +19,12 @@ export function registerNavigationTools(server, getBrowserInstances) {
       inputSchema: {
         url: z.string().describe('URL to navigate to'),
         waitUntil: z.enum(['load', 'domcontentloaded', 'networkidle']).optional().describe('When to consider navigation complete'),
-        timeout: z.number().optional().describe('Navigation timeout in milliseconds (default: 30000)')
+        timeout: z.number().optional().describe('Navigation timeout in milliseconds (default: 30000)'),
+        browser: browserArgument
       }
     },
-    async ({ url, waitUntil = 'load', timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ url, waitUntil = 'load', timeout = 30000, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
@@ -75,11 +78,12 @@ export function registerNavigationTools(server, getBrowserInstances) {
       description: 'Navigate back in browser history',
       inputSchema: {
         waitUntil: z.enum(['load', 'domcontentloaded', 'networkidle']).optional().describe('When to consider navigation complete'),
-        timeout: z.number().optional().describe('Navigation timeout in milliseconds (default: 30000)')
+        timeout: z.number().optional().describe('Navigation timeout in milliseconds (default: 30000)'),
+        browser: browserArgument
       }
     },
-    async ({ waitUntil = 'load', timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ waitUntil = 'load', timeout = 30000, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
@@ -124,11 +128,12 @@ export function registerNavigationTools(server, getBrowserInstances) {
       description: 'Navigate forward in browser history',
       inputSchema: {
         waitUntil: z.enum(['load', 'domcontentloaded', 'networkidle']).optional().describe('When to consider navigation complete'),
-        timeout: z.number().optional().describe('Navigation timeout in milliseconds (default: 30000)')
+        timeout: z.number().optional().describe('Navigation timeout in milliseconds (default: 30000)'),
+        browser: browserArgument
       }
     },
-    async ({ waitUntil = 'load', timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ waitUntil = 'load', timeout = 30000, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
@@ -173,11 +178,12 @@ export function registerNavigationTools(server, getBrowserInstances) {
       description: 'Reload the current page',
       inputSchema: {
         waitUntil: z.enum(['load', 'domcontentloaded', 'networkidle']).optional().describe('When to consider reload complete'),
-        timeout: z.number().optional().describe('Reload timeout in milliseconds (default: 30000)')
+        timeout: z.number().optional().describe('Reload timeout in milliseconds (default: 30000)'),
+        browser: browserArgument
       }
     },
-    async ({ waitUntil = 'load', timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ waitUntil = 'load', timeout = 30000, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
@@ -222,11 +228,12 @@ export function registerNavigationTools(server, getBrowserInstances) {
       description: 'Open a new tab/page in the browser',
       inputSchema: {
         url: z.string().optional().describe('URL to open in new tab (optional)'),
-        switchTo: z.boolean().optional().describe('Switch to the new tab (default: true)')
+        switchTo: z.boolean().optional().describe('Switch to the new tab (default: true)'),
+        browser: browserArgument
       }
     },
-    async ({ url, switchTo = true }) => {
-      const { context } = getBrowserInstances();
+    async ({ url, switchTo = true, browser }) => {
+      const { context } = await getBrowserInstances(browser);
       if (!context) {
         throw new Error('No active browser context available');
       }
@@ -239,7 +246,7 @@ export function registerNavigationTools(server, getBrowserInstances) {
         }
 
         if (switchTo) {
-          setCurrentPage(newPage);
+          setCurrentPage(newPage, browser);
         }
 
         const pageUrl = url ? newPage.url() : 'about:blank';
@@ -280,10 +287,12 @@ export function registerNavigationTools(server, getBrowserInstances) {
     {
       title: 'List All Tabs',
       description: 'Get information about all open tabs/pages',
-      inputSchema: {}
+      inputSchema: {
+        browser: browserArgument
+      }
     },
-    async () => {
-      const { context, page: currentPage } = getBrowserInstances();
+    async ({ browser }) => {
+      const { context, page: currentPage } = await getBrowserInstances(browser);
       if (!context) {
         throw new Error('No active browser context available');
       }
@@ -348,11 +357,12 @@ export function registerNavigationTools(server, getBrowserInstances) {
       title: 'Switch to Tab',
       description: 'Switch to a specific tab by index',
       inputSchema: {
-        index: z.number().describe('Tab index to switch to (0-based)')
+        index: z.number().describe('Tab index to switch to (0-based)'),
+        browser: browserArgument
       }
     },
-    async ({ index }) => {
-      const { context } = getBrowserInstances();
+    async ({ index, browser }) => {
+      const { context } = await getBrowserInstances(browser);
       if (!context) {
         throw new Error('No active browser context available');
       }
@@ -365,7 +375,7 @@ export function registerNavigationTools(server, getBrowserInstances) {
         }
 
         const targetPage = pages[index];
-        setCurrentPage(targetPage);
+        setCurrentPage(targetPage, browser);
         
         const url = await targetPage.url();
         const title = await targetPage.title();
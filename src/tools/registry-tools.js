@@ -0,0 +1,173 @@
+import { z } from 'zod';
+import { browserArgument } from '../utils/browser-registry.js';
+
+/**
+ * Register tools for managing several connected browsers
+ * @param {McpServer} server - MCP server instance
+ * @param {Object} options - Registry access
+ * @param {BrowserRegistry} options.registry - Registry of connected browsers
+ * @param {Function} options.connectBrowser - Attaches to a browser and registers it
+ * @param {Function} options.describeBrowser - Describes a registry entry
+ * @param {Function} options.shutdownBrowser - Closes a launched browser and unregisters it
+ */
+export function registerRegistryTools(server, { registry, connectBrowser, describeBrowser, shutdownBrowser }) {
+
+  // List connected browsers
+  server.registerTool(
+    'browser_list_browsers',
+    {
+      title: 'List Browsers',
+      description: 'List all connected browsers and which one tools use by default',
+      inputSchema: {}
+    },
+    async () => {
+      const browsers = await Promise.all(registry.list().map(describeBrowser));
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            selectedBrowser: registry.currentName,
+            totalBrowsers: browsers.length,
+            browsers
+          }, null, 2)
+        }]
+      };
+    }
+  );
+
+  // Select default browser
+  server.registerTool(
+    'browser_select_browser',
+    {
+      title: 'Select Browser',
+      description: 'Make a connected browser the default for tools called without a browser argument',
+      inputSchema: {
+        name: z.string().describe('Name of the browser to select (see browser_list_browsers)')
+      }
+    },
+    async ({ name }) => {
+      try {
+        const entry = registry.select(name);
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              action: 'select_browser',
+              browser: await describeBrowser(entry)
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              action: 'select_browser',
+              requestedName: name
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Connect an additional browser
+  server.registerTool(
+    'browser_connect_browser',
+    {
+      title: 'Connect Browser',
+      description: 'Attach to another running browser (e.g. Edge on port 9223) and register it under a name',
+      inputSchema: {
+        port: z.number().optional().describe('Remote debugging port of the browser'),
+        endpoint: z.string().optional().describe('Explicit ws:// or http:// endpoint (instead of port)'),
+        brand: z.enum(['detect', 'chrome', 'edge', 'firefox']).optional().describe('Browser brand (default: detect)'),
+        host: z.string().optional().describe('Host serving the debugging port (default: localhost)'),
+        name: z.string().optional().describe('Name to register the browser under (default: derived from the brand)'),
+        select: z.boolean().optional().describe('Make it the default browser for tools (default: false)')
+      }
+    },
+    async ({ port, endpoint, brand = 'detect', host, name, select = false }) => {
+      try {
+        const entry = await connectBrowser({ endpoint, brand, customPort: port, host, name });
+        if (select) {
+          registry.select(entry.name);
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              action: 'connect_browser',
+              browser: await describeBrowser(entry)
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              action: 'connect_browser',
+              port: port ?? null,
+              endpoint: endpoint ?? null
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Shut down a launched browser
+  server.registerTool(
+    'browser_shutdown',
+    {
+      title: 'Shut Down Browser',
+      description: 'Close a browser this server launched (with --launch) and remove its temporary profile. Attached browsers are never closed',
+      inputSchema: {
+        browser: browserArgument
+      }
+    },
+    async ({ browser }) => {
+      try {
+        const entry = await shutdownBrowser(browser);
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              action: 'shutdown',
+              browser: entry.name,
+              selectedBrowser: registry.currentName,
+              remainingBrowsers: registry.list().map(remaining => remaining.name)
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              action: 'shutdown',
+              requestedName: browser ?? null
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+}
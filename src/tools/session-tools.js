@@ -0,0 +1,32 @@
+/**
+ * Register the browser://sessions resource
+ * @param {McpServer} server - MCP server instance
+ * @param {Function} listSessions - Async function returning session summaries
+ * @param {Object} limits - Session limits to report ({ maxContexts, idleTimeout })
+ */
+export function registerSessionResource(server, listSessions, { maxContexts, idleTimeout }) {
+  server.registerResource(
+    'browser-sessions',
+    'browser://sessions',
+    {
+      title: 'Browser Sessions',
+      description: 'Isolated browser contexts held for MCP client sessions',
+      mimeType: 'application/json'
+    },
+    async () => {
+      const sessions = await listSessions();
+
+      return {
+        contents: [{
+          uri: 'browser://sessions',
+          text: JSON.stringify({
+            activeSessions: sessions.length,
+            maxContexts,
+            idleTimeoutMs: idleTimeout,
+            sessions
+          }, null, 2)
+        }]
+      };
+    }
+  );
+}
@@ -1,9 +1,11 @@
 import { z } from 'zod';
+import { browserArgument } from '../utils/browser-registry.js';
+import { describeFrames, frameArgument, resolveFrame } from '../utils/frames.js';
 
 /**
  * Register utility tools for element inspection, attributes, etc.
  * @param {McpServer} server - MCP server instance
- * @param {Function} getBrowserInstances - Function to get current browser instances
+ * @param {Function} getBrowserInstances - Function (sync or async) to get current browser instances
  */
 export function registerUtilityTools(server, getBrowserInstances) {
 
@@ -17,17 +19,20 @@ export function registerUtilityTools(server, getBrowserInstances) {
         selector: z.string().describe('CSS selector to find elements'),
         limit: z.number().optional().describe('Maximum number of elements to return (default: 10)'),
         includeText: z.boolean().optional().describe('Include text content of elements (default: true)'),
-        includeAttributes: z.boolean().optional().describe('Include all attributes of elements (default: false)')
+        includeAttributes: z.boolean().optional().describe('Include all attributes of elements (default: false)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ selector, limit = 10, includeText = true, includeAttributes = false }) => {
-      const { page } = getBrowserInstances();
+    async ({ selector, limit = 10, includeText = true, includeAttributes = false, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
-        const elements = await page.locator(selector).all();
+        const scope = await resolveFrame(page, frame);
+        const elements = await scope.locator(selector).all();
         const limitedElements = elements.slice(0, limit);
         
         const elementInfo = await Promise.all(
@@ -105,17 +110,20 @@ export function registerUtilityTools(server, getBrowserInstances) {
       inputSchema: {
         selector: z.string().describe('CSS selector for the element'),
         attribute: z.string().describe('Attribute name to get'),
-        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)')
+        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ selector, attribute, timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ selector, attribute, timeout = 30000, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
-        const element = page.locator(selector).first();
+        const scope = await resolveFrame(page, frame, { timeout });
+        const element = scope.locator(selector).first();
         const value = await element.getAttribute(attribute, { timeout });
 
         return {
@@ -155,17 +163,20 @@ export function registerUtilityTools(server, getBrowserInstances) {
       inputSchema: {
         selector: z.string().describe('CSS selector for the element'),
         type: z.enum(['textContent', 'innerText', 'innerHTML']).optional().describe('Type of text to get (default: textContent)'),
-        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)')
+        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ selector, type = 'textContent', timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ selector, type = 'textContent', timeout = 30000, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
-        const element = page.locator(selector).first();
+        const scope = await resolveFrame(page, frame, { timeout });
+        const element = scope.locator(selector).first();
         
         let text;
         switch (type) {
@@ -218,11 +229,13 @@ export function registerUtilityTools(server, getBrowserInstances) {
       inputSchema: {
         selector: z.string().describe('CSS selector for the element'),
         checks: z.array(z.enum(['visible', 'hidden', 'enabled', 'disabled', 'checked', 'unchecked', 'editable', 'readonly'])).optional().describe('States to check (default: all)'),
-        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)')
+        timeout: z.number().optional().describe('Timeout in milliseconds (default: 30000)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ selector, checks, timeout = 30000 }) => {
-      const { page } = getBrowserInstances();
+    async ({ selector, checks, timeout = 30000, frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
@@ -231,7 +244,8 @@ export function registerUtilityTools(server, getBrowserInstances) {
       const checksToPerform = checks || allChecks;
 
       try {
-        const element = page.locator(selector).first();
+        const scope = await resolveFrame(page, frame, { timeout });
+        const element = scope.locator(selector).first();
         const results = {};
 
         for (const check of checksToPerform) {
@@ -302,11 +316,12 @@ export function registerUtilityTools(server, getBrowserInstances) {
       inputSchema: {
         includeMetadata: z.boolean().optional().describe('Include page metadata (title, description, etc.)'),
         includePerformance: z.boolean().optional().describe('Include performance metrics'),
-        includeViewport: z.boolean().optional().describe('Include viewport information')
+        includeViewport: z.boolean().optional().describe('Include viewport information'),
+        browser: browserArgument
       }
     },
-    async ({ includeMetadata = true, includePerformance = false, includeViewport = true }) => {
-      const { page } = getBrowserInstances();
+    async ({ includeMetadata = true, includePerformance = false, includeViewport = true, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
@@ -403,21 +418,24 @@ export function registerUtilityTools(server, getBrowserInstances) {
         selector: z.string().optional().describe('CSS selector for element to scroll (if not provided, scrolls page)'),
         x: z.number().optional().describe('Horizontal scroll position'),
         y: z.number().optional().describe('Vertical scroll position'),
-        behavior: z.enum(['auto', 'smooth']).optional().describe('Scroll behavior (default: auto)')
+        behavior: z.enum(['auto', 'smooth']).optional().describe('Scroll behavior (default: auto)'),
+        frame: frameArgument,
+        browser: browserArgument
       }
     },
-    async ({ selector, x, y, behavior = 'auto' }) => {
-      const { page } = getBrowserInstances();
+    async ({ selector, x, y, behavior = 'auto', frame, browser }) => {
+      const { page } = await getBrowserInstances(browser);
       if (!page) {
         throw new Error('No active page available');
       }
 
       try {
+        const scope = await resolveFrame(page, frame);
         if (selector) {
-          const element = page.locator(selector).first();
+          const element = scope.locator(selector).first();
           await element.scrollIntoViewIfNeeded();
         } else {
-          await page.evaluate(({ x, y, behavior }) => {
+          await scope.evaluate(({ x, y, behavior }) => {
             window.scrollTo({
               left: x,
               top: y,
@@ -426,7 +444,7 @@ export function registerUtilityTools(server, getBrowserInstances) {
           }, { x, y, behavior });
         }
 
-        const scrollPosition = await page.evaluate(() => ({
+        const scrollPosition = await scope.evaluate(() => ({
           x: window.scrollX,
           y: window.scrollY
         }));
@@ -460,4 +478,48 @@ export function registerUtilityTools(server, getBrowserInstances) {
       }
     }
   );
+
+  // List frames
+  server.registerTool(
+    'browser_list_frames',
+    {
+      title: 'List Frames',
+      description: 'List the frames (iframes) of the current page with their names and URLs, for the frame argument of other tools',
+      inputSchema: {
+        browser: browserArgument
+      }
+    },
+    async ({ browser }) => {
+      const { page } = await getBrowserInstances(browser);
+      if (!page) {
+        throw new Error('No active page available');
+      }
+
+      try {
+        const frames = describeFrames(page);
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              count: frames.length,
+              frames
+            }, null, 2)
+          }]
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message
+            }, null, 2)
+          }],
+          isError: true
+        };
+      }
+    }
+  );
 }
@@ -0,0 +1,339 @@
+import { z } from 'zod';
+
+/**
+ * Accessibility-tree snapshots with element refs
+ * browser_snapshot lists the page as roles and accessible names, and tags every
+ * listed element with a ref ("e12") that interaction tools accept instead of a
+ * CSS selector. Refs are stored in a data attribute, so an element keeps its
+ * ref across snapshots for as long as it stays in the document.
+ */
+
+/**
+ * Attribute holding an element's ref
+ */
+export const REF_ATTRIBUTE = 'data-mcp-ref';
+
+/**
+ * Zod schema for the optional ref argument of interaction tools
+ */
+export const refArgument = z.string().optional().describe('Element ref from browser_snapshot (e.g. "e12"), instead of selector');
+
+/**
+ * CSS selector matching the element with a ref
+ * @param {string} ref - Ref from a snapshot
+ * @returns {string} CSS selector
+ */
+export function refSelector(ref) {
+  if (!/^e\d+$/.test(ref)) {
+    throw new Error(`Invalid ref "${ref}": refs look like "e12" and come from browser_snapshot`);
+  }
+  return `[${REF_ATTRIBUTE}="${ref}"]`;
+}
+
+/**
+ * Selector for a tool's target, given either a CSS selector or a ref
+ * @param {{selector?: string, ref?: string}} target - Tool arguments
+ * @returns {string} CSS selector
+ */
+export function targetSelector({ selector, ref }) {
+  if (selector && ref) {
+    throw new Error('Provide either selector or ref, not both');
+  }
+  if (ref) {
+    return refSelector(ref);
+  }
+  if (!selector) {
+    throw new Error('Provide a selector or a ref from browser_snapshot');
+  }
+  return selector;
+}
+
+/**
+ * Render the accessibility tree of the page (or of one element) as an indented list
+ * Runs in the page (page.evaluate or Runtime.callFunctionOn), so it must stay self-contained
+ * apart from the page helpers that direct mode bundles with it.
+ * Output looks like:
+ *   - heading "Sign in" [level=1] [ref=e1]
+ *   - textbox "Email" [ref=e2]: user@example.com
+ *   - checkbox "Remember me" [checked] [ref=e3]
+ *   - button "Continue" [disabled] [ref=e4]
+ * @param {Object} options - Snapshot options
+ * @param {string} options.refAttribute - Attribute that stores refs (REF_ATTRIBUTE)
+ * @param {Element} [options.root] - Element to snapshot, already resolved by the caller (Playwright element handle)
+ * @param {string} [options.selector] - Deep selector of the element to snapshot, resolved with the
+ *   querySelectorDeep page helper (direct mode, see pageFunctionSource)
+ * @returns {string} Snapshot text
+ */
+export function ariaSnapshot({ refAttribute, root: given, selector }) {
+  const root = given ?? (selector ? querySelectorDeep(selector) : document.body);
+  if (!root) {
+    throw new Error(`Element not found: ${selector}`);
+  }
+
+  // Refs also live inside shadow roots, so continue after the highest one anywhere in the page
+  let nextRef = 1;
+  const scan = scope => {
+    for (const element of scope.querySelectorAll('*')) {
+      if (element.hasAttribute(refAttribute)) {
+        nextRef = Math.max(nextRef, Number(element.getAttribute(refAttribute).slice(1)) + 1);
+      }
+      if (element.shadowRoot) {
+        scan(element.shadowRoot);
+      }
+    }
+  };
+  scan(document);
+  const refFor = element => {
+    if (!element.hasAttribute(refAttribute)) {
+      element.setAttribute(refAttribute, `e${nextRef++}`);
+    }
+    return element.getAttribute(refAttribute);
+  };
+
+  const collapse = text => (text || '').replace(/\s+/g, ' ').trim();
+  const truncate = text => (text.length > 100 ? `${text.slice(0, 100)}…` : text);
+
+  const INPUT_ROLES = {
+    button: 'button', submit: 'button', reset: 'button', image: 'button',
+    checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton',
+    search: 'searchbox', email: 'textbox', tel: 'textbox', text: 'textbox', url: 'textbox', password: 'textbox'
+  };
+  const TAG_ROLES = {
+    ARTICLE: 'article', ASIDE: 'complementary', BUTTON: 'button', DETAILS: 'group', DIALOG: 'dialog',
+    FIELDSET: 'group', FIGURE: 'figure', H1: 'heading', H2: 'heading', H3: 'heading', H4: 'heading',
+    H5: 'heading', H6: 'heading', HR: 'separator', IFRAME: 'iframe', LI: 'listitem', MAIN: 'main',
+    MENU: 'list', METER: 'meter', NAV: 'navigation', OL: 'list', OPTION: 'option', P: 'paragraph',
+    PROGRESS: 'progressbar', SUMMARY: 'button', TABLE: 'table', TBODY: 'rowgroup', TD: 'cell',
+    TEXTAREA: 'textbox', TFOOT: 'rowgroup', TH: 'columnheader', THEAD: 'rowgroup', TR: 'row', UL: 'list'
+  };
+  // Roles named by their text, whose text children are therefore not listed again
+  const NAME_FROM_CONTENT = new Set([
+    'button', 'cell', 'checkbox', 'columnheader', 'heading', 'link', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab', 'tooltip', 'treeitem'
+  ]);
+  // Roles whose descendants are not part of the tree
+  const LEAF_ROLES = new Set([
+    'checkbox', 'combobox', 'img', 'iframe', 'meter', 'progressbar', 'radio', 'searchbox',
+    'separator', 'slider', 'spinbutton', 'switch', 'textbox'
+  ]);
+
+  const roleOf = element => {
+    const explicit = element.getAttribute('role')?.trim().split(/\s+/)[0];
+    if (explicit) {
+      return explicit;
+    }
+    const tag = element.tagName;
+    if (tag === 'A' || tag === 'AREA') {
+      return element.hasAttribute('href') ? 'link' : null;
+    }
+    if (tag === 'INPUT') {
+      return element.type === 'hidden' ? null : (element.list ? 'combobox' : INPUT_ROLES[element.type] ?? 'textbox');
+    }
+    if (tag === 'SELECT') {
+      return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+    }
+    if (tag === 'IMG') {
+      return element.getAttribute('alt') === '' ? null : 'img';
+    }
+    if (tag === 'SECTION' || tag === 'FORM') {
+      const named = element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby');
+      return named ? (tag === 'FORM' ? 'form' : 'region') : null;
+    }
+    if (tag === 'HEADER' || tag === 'FOOTER') {
+      // Only page-level headers and footers are landmarks
+      if (element.closest('article, aside, main, nav, section')) {
+        return null;
+      }
+      return tag === 'HEADER' ? 'banner' : 'contentinfo';
+    }
+    if (element.isContentEditable && !element.parentElement?.isContentEditable) {
+      return 'textbox';
+    }
+    return TAG_ROLES[tag] ?? null;
+  };
+
+  const isHidden = (element, style) => {
+    if (element.hidden || element.getAttribute('aria-hidden') === 'true') {
+      return true;
+    }
+    return style.display === 'none' || style.visibility === 'hidden' || style.visibility === 'collapse';
+  };
+
+  const nameOf = (element, role) => {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent ?? '').join(' ');
+      if (collapse(text)) {
+        return collapse(text);
+      }
+    }
+    const label = collapse(element.getAttribute('aria-label'));
+    if (label) {
+      return label;
+    }
+    if (element.labels?.length) {
+      return collapse(Array.from(element.labels, labelElement => labelElement.textContent).join(' '));
+    }
+    if (element.tagName === 'IMG' || (element.tagName === 'INPUT' && element.type === 'image')) {
+      return collapse(element.getAttribute('alt'));
+    }
+    if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+      return collapse(element.value) || (element.type === 'submit' ? 'Submit' : element.type === 'reset' ? 'Reset' : '');
+    }
+    if (element.tagName === 'FIELDSET') {
+      return collapse(element.querySelector(':scope > legend')?.textContent);
+    }
+    if (element.tagName === 'TABLE') {
+      return collapse(element.querySelector(':scope > caption')?.textContent);
+    }
+    if (NAME_FROM_CONTENT.has(role)) {
+      return collapse(element.innerText ?? element.textContent);
+    }
+    return collapse(element.getAttribute('title') || element.getAttribute('placeholder'));
+  };
+
+  const aria = (element, name) => element.getAttribute(`aria-${name}`);
+
+  const propertiesOf = (element, role) => {
+    const properties = [];
+
+    if (role === 'heading') {
+      properties.push(`level=${aria(element, 'level') ?? element.tagName.slice(1)}`);
+    }
+    if (['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'].includes(role)) {
+      const checked = aria(element, 'checked') ?? (element.indeterminate ? 'mixed' : String(!!element.checked));
+      if (checked === 'mixed') {
+        properties.push('checked=mixed');
+      } else if (checked === 'true') {
+        properties.push('checked');
+      }
+    }
+    if (aria(element, 'pressed') === 'true') {
+      properties.push('pressed');
+    }
+    if (aria(element, 'expanded') !== null) {
+      properties.push(aria(element, 'expanded') === 'true' ? 'expanded' : 'collapsed');
+    } else if (element.tagName === 'DETAILS') {
+      properties.push(element.open ? 'expanded' : 'collapsed');
+    }
+    if (aria(element, 'selected') === 'true' || (element.tagName === 'OPTION' && element.selected)) {
+      properties.push('selected');
+    }
+    if (element.disabled || aria(element, 'disabled') === 'true') {
+      properties.push('disabled');
+    }
+    if (element.required || aria(element, 'required') === 'true') {
+      properties.push('required');
+    }
+    return properties;
+  };
+
+  const valueOf = (element, role) => {
+    if (element.tagName === 'SELECT') {
+      return collapse(Array.from(element.selectedOptions, option => option.textContent).join(', '));
+    }
+    if (['textbox', 'searchbox', 'spinbutton', 'slider', 'combobox'].includes(role)) {
+      if (element.isContentEditable) {
+        return collapse(element.innerText);
+      }
+      return element.type === 'password' ? (element.value ? '••••' : '') : collapse(element.value ?? aria(element, 'valuetext'));
+    }
+    return '';
+  };
+
+  // Children in render order: shadow roots replace light children, slots show what is assigned to them
+  const childrenOf = node => {
+    if (node.shadowRoot) {
+      return node.shadowRoot.childNodes;
+    }
+    if (node.tagName === 'SLOT') {
+      const assigned = node.assignedNodes({ flatten: true });
+      return assigned.length ? assigned : node.childNodes;
+    }
+    return node.childNodes;
+  };
+
+  // Build the tree: elements without a role are flattened into their parent.
+  // Text keeps its collapsed whitespace until runs are merged, so "Hello <b>world</b>," reads right.
+  const walk = node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = node.textContent.replace(/\s+/g, ' ');
+      return text ? [{ text }] : [];
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(node.tagName)) {
+      return [];
+    }
+    const style = getComputedStyle(node);
+    if (isHidden(node, style)) {
+      return [];
+    }
+
+    const role = roleOf(node);
+    if (!role || role === 'generic' || role === 'none' || role === 'presentation') {
+      const children = Array.from(childrenOf(node)).flatMap(walk);
+      // Block boundaries separate words even without whitespace in the markup
+      const inline = !style.display || style.display.startsWith('inline') || style.display === 'contents';
+      return inline ? children : [{ text: ' ' }, ...children, { text: ' ' }];
+    }
+
+    const name = nameOf(node, role);
+    const item = {
+      role,
+      name: truncate(name),
+      properties: propertiesOf(node, role),
+      value: truncate(valueOf(node, role)),
+      ref: refFor(node)
+    };
+    const children = LEAF_ROLES.has(role) ? [] : Array.from(childrenOf(node)).flatMap(walk);
+    // The name already carries the text of name-from-content roles
+    item.children = NAME_FROM_CONTENT.has(role) && name ? children.filter(child => child.text === undefined) : children;
+    return [item];
+  };
+
+  // Merge neighbouring text runs and drop the ones that are only whitespace
+  const mergeText = items => items.reduce((merged, item) => {
+    const last = merged[merged.length - 1];
+    if (item.text !== undefined && last?.text !== undefined) {
+      last.text += item.text;
+    } else {
+      merged.push(item.text !== undefined ? { text: item.text } : { ...item, children: mergeText(item.children) });
+    }
+    return merged;
+  }, []).map(item => (item.text !== undefined ? { text: collapse(item.text) } : item))
+    .filter(item => item.text !== '');
+
+  const lines = [];
+  const render = (items, indent) => {
+    for (const item of items) {
+      if (item.text) {
+        lines.push(`${indent}- text: ${truncate(item.text)}`);
+        continue;
+      }
+
+      let line = `${indent}- ${item.role}`;
+      if (item.name) {
+        line += ` ${JSON.stringify(item.name)}`;
+      }
+      for (const property of item.properties) {
+        line += ` [${property}]`;
+      }
+      line += ` [ref=${item.ref}]`;
+
+      // A lone text child goes on the same line
+      if (item.children.length === 1 && item.children[0].text && !item.value) {
+        lines.push(`${line}: ${truncate(item.children[0].text)}`);
+        continue;
+      }
+      if (item.value) {
+        line += `: ${item.value}`;
+      } else if (item.children.length) {
+        line += ':';
+      }
+      lines.push(line);
+      render(item.children, `${indent}  `);
+    }
+  };
+
+  render(mergeText(walk(root)), '');
+  return lines.join('\n');
+}
@@ -1,121 +1,101 @@
 import { chromium, firefox } from 'playwright-core';
-import { exec } from 'child_process';
-import { promisify } from 'util';
-
-const execAsync = promisify(exec);
+import { existsSync } from 'fs';
+import { createConnection, connectionFromEndpoint, defaultHost, detectBrand, devToolsHeaders, getVersionInfo, isLoopbackHost } from './cdp-http.js';
+import { FirefoxBiDiClient, bidiEndpoint } from './bidi-firefox.js';
+import { discoverBrowsers } from './discovery.js';
+import { attemptRecord, isBrowserRunningWithDebugging, probeVersionInfo } from './diagnostics.js';
+import { playwrightLaunchOptions, profileContextOptions, resolveLaunchProfile } from './launch-profiles.js';
+import { findChromeExecutable, hasDisplay } from './browser-executables.js';
 
 /**
- * Check if a browser process is running with debugging enabled
- * @param {string} browserName - Browser name to check
- * @param {number} port - Expected debugging port
- * @param {boolean} verbose - Enable verbose logging
- * @returns {Promise<boolean>} True if browser with debugging is running
+ * Report of the most recent attachToRunningBrowser call
  */
-async function isBrowserRunningWithDebugging(browserName, port, verbose = false) {
-  try {
-    const platform = process.platform;
-    let command;
-
-    if (platform === 'win32') {
-      // Windows: Check for Chrome/Edge processes with debugging port
-      command = `tasklist /FI "IMAGENAME eq chrome.exe" /FO CSV | findstr chrome.exe || tasklist /FI "IMAGENAME eq msedge.exe" /FO CSV | findstr msedge.exe`;
-    } else if (platform === 'darwin') {
-      // macOS: Check for Chrome/Edge processes with debugging port
-      command = `ps aux | grep -E "(Google Chrome|Microsoft Edge|chrome|edge)" | grep -E "(remote-debugging-port=${port}|remote-debugging-port.*${port})" | grep -v grep`;
-    } else {
-      // Linux: Check for Chrome/Edge processes with debugging port
-      command = `ps aux | grep -E "(chrome|chromium|edge)" | grep -E "(remote-debugging-port=${port}|remote-debugging-port.*${port})" | grep -v grep`;
-    }
-
-    const { stdout } = await execAsync(command);
-    const hasProcess = stdout.trim().length > 0;
-
-    if (verbose) {
-      console.error(`🔍 Browser process check for ${browserName} on port ${port}: ${hasProcess ? 'Found' : 'Not found'}`);
-      if (hasProcess && verbose) {
-        console.error(`   Process details: ${stdout.trim().split('\n')[0]}`);
-      }
-    }
+let lastAttachReport = null;
 
-    return hasProcess;
-  } catch (error) {
-    if (verbose) {
-      console.error(`⚠️  Process check failed for ${browserName}: ${error.message}`);
-    }
-    return false;
-  }
+/**
+ * Get the structured report of the most recent attach (including reconnect attempts)
+ * @returns {Object|null} { timestamp, success, options, connection, error, attempts }, or null before the first attach
+ */
+export function getLastAttachReport() {
+  return lastAttachReport;
 }
 
 /**
- * Test if a debugging port is accessible via HTTP
- * @param {number} port - Port to test
+ * Connect to Firefox over WebDriver BiDi and start a session
+ * @param {Object} connection - Connection descriptor with protocol 'webdriver-bidi'
  * @param {boolean} verbose - Enable verbose logging
- * @returns {Promise<boolean>} True if port is accessible
+ * @returns {Promise<FirefoxBiDiClient>} Client with an active BiDi session
  */
-async function isDebuggingPortAccessible(port, verbose = false) {
-  try {
-    // Use Node.js http module instead of fetch
-    const http = await import('http');
-
-    return new Promise((resolve) => {
-      const req = http.default.get(`http://localhost:${port}/json/version`, { timeout: 2000 }, (res) => {
-        if (res.statusCode === 200) {
-          let data = '';
-          res.on('data', chunk => data += chunk);
-          res.on('end', () => {
-            try {
-              const browserInfo = JSON.parse(data);
-              if (verbose) {
-                console.error(`✅ Port ${port} accessible - Browser: ${browserInfo.Browser || 'Unknown'}`);
-              }
-              resolve(true);
-            } catch {
-              resolve(false);
-            }
-          });
-        } else {
-          resolve(false);
-        }
-      });
+async function connectFirefox(connection, verbose = false) {
+  const client = new FirefoxBiDiClient();
+  await client.connect(connection.wsEndpoint, { headers: devToolsHeaders(connection) });
 
-      req.on('error', (error) => {
-        if (verbose) {
-          console.error(`❌ Port ${port} not accessible: ${error.message}`);
-        }
-        resolve(false);
-      });
-
-      req.on('timeout', () => {
-        req.destroy();
-        if (verbose) {
-          console.error(`❌ Port ${port} timeout`);
-        }
-        resolve(false);
-      });
-    });
-  } catch (error) {
+  try {
+    const capabilities = await client.startSession();
     if (verbose) {
-      console.error(`❌ Port ${port} check failed: ${error.message}`);
+      console.error(`✅ WebDriver BiDi session started - ${capabilities.browserName} ${capabilities.browserVersion}`);
     }
-    return false;
+  } catch (error) {
+    client.close();
+    throw error;
   }
+
+  return client;
 }
 
 /**
  * Attempts to connect to a running browser instance via CDP
+ * (or WebDriver BiDi for Firefox)
+ * Every probe is recorded in a structured report (see getLastAttachReport); on failure
+ * the thrown error also carries the records as `error.attempts`
  * @param {Object} options - Connection options
  * @param {string} [options.endpoint] - Explicit CDP endpoint URL
  * @param {string} [options.brand] - Browser brand preference ('detect', 'chrome', 'edge', 'firefox')
  * @param {number} [options.customPort] - Custom port override
+ * @param {string} [options.host] - Host serving the DevTools endpoints (default: ANY_BROWSER_HOST or localhost)
+ * @param {string} [options.scanPorts] - Port range to scan for Chromium-family browsers (e.g. "9222-9300")
  * @param {boolean} [options.verbose] - Enable verbose logging
- * @returns {Promise<Browser>} Connected browser instance
+ * @returns {Promise<{browser: Browser|FirefoxBiDiClient, connection: Object}>} Connected browser and its
+ *   connection descriptor; Firefox yields a FirefoxBiDiClient and connection.protocol 'webdriver-bidi'
+ */
+export async function attachToRunningBrowser(options) {
+  const { endpoint, brand = 'detect', customPort, host = defaultHost(), scanPorts } = options;
+  const attempts = [];
+  const report = {
+    timestamp: new Date().toISOString(),
+    success: false,
+    options: { endpoint: endpoint || null, brand, customPort: customPort || null, host, scanPorts: scanPorts || null },
+    connection: null,
+    error: null,
+    attempts
+  };
+  lastAttachReport = report;
+
+  try {
+    const result = await connectToRunningBrowser(options, attempts);
+    report.success = true;
+    report.connection = result.connection;
+    return result;
+  } catch (error) {
+    report.error = error.message;
+    error.attempts = attempts;
+    throw error;
+  }
+}
+
+/**
+ * Probe endpoints in order and connect to the first usable browser, recording each attempt
+ * @param {Object} options - Connection options (see attachToRunningBrowser)
+ * @param {Array<Object>} connectionAttempts - Receives one record per probed endpoint
+ * @returns {Promise<{browser: Browser|FirefoxBiDiClient, connection: Object}>} Connected browser and descriptor
  */
-export async function attachToRunningBrowser({ endpoint, brand = 'detect', customPort, verbose = false }) {
+async function connectToRunningBrowser({ endpoint, brand = 'detect', customPort, host = defaultHost(), scanPorts, verbose = false }, connectionAttempts) {
   if (verbose) {
     console.error('🔍 Attempting to connect to browser...');
     console.error(`   Platform: ${process.platform}`);
     console.error(`   Brand preference: ${brand}`);
     console.error(`   Custom port: ${customPort || 'none'}`);
+    console.error(`   Host: ${host}`);
   }
 
   // If explicit endpoint provided, use it directly
@@ -123,13 +103,41 @@ export async function attachToRunningBrowser({ endpoint, brand = 'detect', custo
     if (verbose) {
       console.error(`📡 Connecting to explicit endpoint: ${endpoint}`);
     }
+    let connection;
+    let versionInfo = null;
     try {
-      const browser = await chromium.connectOverCDP(endpoint);
+      connection = connectionFromEndpoint(endpoint, brand === 'detect' ? 'chrome' : brand);
+      if (connection.protocol === 'webdriver-bidi') {
+        connection.wsEndpoint = connection.wsEndpoint || bidiEndpoint(connection);
+        const browser = await connectFirefox(connection, verbose);
+        connectionAttempts.push(attemptRecord(connection, 'endpoint', { portReachable: true }));
+        return { browser, connection };
+      }
+      if (!connection.wsEndpoint) {
+        // Resolve http:// endpoints ourselves so the WebSocket URL gets rewritten for tunnels
+        versionInfo = await getVersionInfo(connection);
+        connection.wsEndpoint = versionInfo.webSocketDebuggerUrl;
+        if (brand === 'detect') {
+          connection.brand = detectBrand(versionInfo);
+        }
+      }
+      const browser = await chromium.connectOverCDP(connection.wsEndpoint, { headers: devToolsHeaders(connection) });
       if (verbose) {
         console.error('✅ Successfully connected to explicit endpoint');
       }
-      return browser;
+      connectionAttempts.push(attemptRecord(connection, 'endpoint', { portReachable: true, versionInfo }));
+      return { browser, connection };
     } catch (error) {
+      if (connection) {
+        // Without a WebSocket URL the /json/version lookup itself failed
+        const failedAtVersion = !connection.wsEndpoint;
+        connectionAttempts.push(attemptRecord(connection, 'endpoint', {
+          portReachable: failedAtVersion ? false : (versionInfo ? true : null),
+          versionInfo,
+          webSocketError: failedAtVersion ? null : error.message,
+          error: error.message
+        }));
+      }
       throw new Error(`Failed to connect to endpoint ${endpoint}: ${error.message}`);
     }
   }
@@ -147,132 +155,180 @@ export async function attachToRunningBrowser({ endpoint, brand = 'detect', custo
       console.error(`🔌 Testing custom port ${customPort}...`);
     }
 
-    // First check if port is accessible
-    const isAccessible = await isDebuggingPortAccessible(customPort, verbose);
-    if (!isAccessible) {
-      throw new Error(`Custom port ${customPort} is not accessible. Ensure browser is running with --remote-debugging-port=${customPort}`);
+    if (brand === 'firefox') {
+      const connection = createConnection({ host, port: customPort, brand, protocol: 'webdriver-bidi' });
+      connection.wsEndpoint = bidiEndpoint(connection);
+      try {
+        const browser = await connectFirefox(connection, verbose);
+        connectionAttempts.push(attemptRecord(connection, 'custom-port', { portReachable: true }));
+        return { browser, connection };
+      } catch (error) {
+        connectionAttempts.push(attemptRecord(connection, 'custom-port', { webSocketError: error.message, error: error.message }));
+        throw new Error(`Failed to connect to Firefox on custom port ${customPort}: ${error.message}. Ensure Firefox is running with --remote-debugging-port=${customPort}`);
+      }
     }
 
-    const wsURL = `ws://127.0.0.1:${customPort}/devtools/browser`;
+    const connection = createConnection({ host, port: customPort, brand: brand === 'detect' ? 'chrome' : brand });
+    const { versionInfo, error: probeError } = await probeVersionInfo(connection, verbose);
+    if (!versionInfo) {
+      connectionAttempts.push(attemptRecord(connection, 'custom-port', { portReachable: false, error: probeError }));
+      throw new Error(`Custom port ${customPort} on ${host} is not accessible. Ensure browser is running with --remote-debugging-port=${customPort}`);
+    }
+
+    connection.wsEndpoint = versionInfo.webSocketDebuggerUrl;
+    connection.brand = brand === 'detect' ? detectBrand(versionInfo) : brand;
     if (verbose) {
-      console.error(`🔌 Connecting to custom port ${customPort}: ${wsURL}`);
+      console.error(`🔌 Connecting to custom port ${customPort}: ${connection.wsEndpoint}`);
     }
     try {
-      const browser = await chromium.connectOverCDP(wsURL);
+      const browser = await chromium.connectOverCDP(connection.wsEndpoint, { headers: devToolsHeaders(connection) });
       if (verbose) {
         console.error(`✅ Connected on custom port ${customPort}`);
       }
-      return browser;
+      connectionAttempts.push(attemptRecord(connection, 'custom-port', { portReachable: true, versionInfo }));
+      return { browser, connection };
     } catch (error) {
+      connectionAttempts.push(attemptRecord(connection, 'custom-port', {
+        portReachable: true,
+        versionInfo,
+        webSocketError: error.message,
+        error: error.message
+      }));
       throw new Error(`Failed to connect to custom port ${customPort}: ${error.message}`);
     }
   }
 
+  // Find Chromium-family browsers on any port via their DevToolsActivePort files (and the optional port scan)
+  if (brand !== 'firefox') {
+    const candidates = await discoverBrowsers({ host, scanPorts, verbose });
+
+    for (const candidate of candidates) {
+      if (brand !== 'detect' && candidate.brand !== brand) {
+        continue;
+      }
+
+      const connection = createConnection({
+        host,
+        port: candidate.port,
+        wsEndpoint: candidate.wsEndpoint,
+        brand: candidate.brand,
+        userDataDir: candidate.userDataDir
+      });
+
+      if (!candidate.reachable) {
+        connectionAttempts.push(attemptRecord(connection, candidate.source, {
+          portReachable: false,
+          error: `Stale DevToolsActivePort file in ${candidate.userDataDir} (${candidate.error})`
+        }));
+        continue;
+      }
+
+      try {
+        const browser = await chromium.connectOverCDP(connection.wsEndpoint, { headers: devToolsHeaders(connection) });
+        if (verbose) {
+          console.error(`✅ Successfully connected to ${candidate.brand} on port ${candidate.port} (found via ${candidate.source})`);
+        }
+        connectionAttempts.push(attemptRecord(connection, candidate.source, { portReachable: true, versionInfo: candidate.versionInfo }));
+        return { browser, connection };
+      } catch (error) {
+        if (verbose) {
+          console.error(`❌ WebSocket connection failed for ${candidate.brand} on port ${candidate.port}: ${error.message}`);
+        }
+        connectionAttempts.push(attemptRecord(connection, candidate.source, {
+          portReachable: true,
+          versionInfo: candidate.versionInfo,
+          webSocketError: error.message,
+          error: error.message
+        }));
+      }
+    }
+  }
+
   // Auto-probe default debugging ports with enhanced detection
-  const brandsToTry = brand === 'detect' ? Object.keys(defaultPorts) : [brand];
-  const connectionAttempts = [];
+  const brandsToTry = brand === 'detect' ? Object.keys(defaultPorts) : [brand].filter(name => defaultPorts[name]);
 
   for (const browserBrand of brandsToTry) {
     const port = defaultPorts[browserBrand];
+    const connection = createConnection({ host, port, brand: browserBrand });
 
     if (verbose) {
       console.error(`🔍 Checking ${browserBrand} on port ${port}...`);
     }
 
-    // Step 1: Check if browser process is running with debugging
-    const hasProcess = await isBrowserRunningWithDebugging(browserBrand, port, verbose);
-
-    // Step 2: Check if debugging port is accessible
-    const isAccessible = await isDebuggingPortAccessible(port, verbose);
-
-    if (!hasProcess && !isAccessible) {
-      if (verbose) {
-        console.error(`⏭️  Skipping ${browserBrand} - no process with debugging and port not accessible`);
+    // Step 1: Check if browser process is running with debugging (only visible for local browsers)
+    const hasProcess = isLoopbackHost(host)
+      ? await isBrowserRunningWithDebugging(browserBrand, port, verbose)
+      : null;
+
+    // Firefox speaks WebDriver BiDi rather than CDP, so connecting is the probe
+    if (browserBrand === 'firefox') {
+      connection.protocol = 'webdriver-bidi';
+      connection.wsEndpoint = bidiEndpoint(connection);
+      try {
+        const browser = await connectFirefox(connection, verbose);
+        connectionAttempts.push(attemptRecord(connection, 'default-port', { processFound: hasProcess, portReachable: true }));
+        return { browser, connection };
+      } catch (error) {
+        if (verbose) {
+          console.error(`❌ WebDriver BiDi connection failed for firefox on port ${port}: ${error.message}`);
+        }
+        connectionAttempts.push(attemptRecord(connection, 'default-port', {
+          processFound: hasProcess,
+          portReachable: false,
+          webSocketError: error.message,
+          error: hasProcess === false ? 'No browser process with debugging found' : error.message
+        }));
+        continue;
       }
-      connectionAttempts.push({
-        browser: browserBrand,
-        port,
-        hasProcess: false,
-        isAccessible: false,
-        error: 'No browser process with debugging found'
-      });
-      continue;
     }
 
-    // Step 3: Get the actual WebSocket URL from the browser
-    let wsURL;
-    try {
-      const http = await import('http');
-
-      wsURL = await new Promise((resolve, reject) => {
-        const req = http.default.get(`http://localhost:${port}/json/version`, { timeout: 5000 }, (res) => {
-          if (res.statusCode === 200) {
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => {
-              try {
-                const versionInfo = JSON.parse(data);
-                resolve(versionInfo.webSocketDebuggerUrl);
-              } catch (parseError) {
-                reject(new Error(`Failed to parse version info: ${parseError.message}`));
-              }
-            });
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}`));
-          }
-        });
-
-        req.on('error', reject);
-        req.on('timeout', () => {
-          req.destroy();
-          reject(new Error('Request timeout'));
-        });
-      });
+    // Step 2: Check if debugging port is accessible and get the actual WebSocket URL from the browser
+    const { versionInfo, error: probeError } = await probeVersionInfo(connection, verbose);
 
+    if (!versionInfo) {
       if (verbose) {
-        console.error(`🔗 Found WebSocket URL: ${wsURL}`);
+        console.error(`⏭️  Skipping ${browserBrand} - port not accessible`);
       }
-    } catch (fetchError) {
-      if (verbose) {
-        console.error(`❌ Failed to get WebSocket URL from ${browserBrand}: ${fetchError.message}`);
-      }
-      connectionAttempts.push({
-        browser: browserBrand,
-        port,
-        hasProcess,
-        isAccessible,
-        error: `Failed to get WebSocket URL: ${fetchError.message}`
-      });
+      connectionAttempts.push(attemptRecord(connection, 'default-port', {
+        processFound: hasProcess,
+        portReachable: false,
+        error: hasProcess ? `Browser process found but port not accessible: ${probeError}` : 'No browser process with debugging found'
+      }));
       continue;
     }
 
+    connection.wsEndpoint = versionInfo.webSocketDebuggerUrl;
     if (verbose) {
-      console.error(`🔍 Attempting WebSocket connection to ${browserBrand} on port ${port}: ${wsURL}`);
+      console.error(`🔗 Found WebSocket URL: ${connection.wsEndpoint}`);
+      console.error(`🔍 Attempting WebSocket connection to ${browserBrand} on port ${port}: ${connection.wsEndpoint}`);
     }
 
+    // Step 3: Connect over the browser WebSocket
     try {
-      const browser = await chromium.connectOverCDP(wsURL);
+      const browser = await chromium.connectOverCDP(connection.wsEndpoint, { headers: devToolsHeaders(connection) });
       if (verbose) {
         console.error(`✅ Successfully connected to ${browserBrand} on port ${port}`);
       }
-      return browser;
+      connectionAttempts.push(attemptRecord(connection, 'default-port', { processFound: hasProcess, portReachable: true, versionInfo }));
+      return { browser, connection };
     } catch (error) {
       if (verbose) {
         console.error(`❌ WebSocket connection failed for ${browserBrand} on port ${port}: ${error.message}`);
       }
-      connectionAttempts.push({
-        browser: browserBrand,
-        port,
-        hasProcess,
-        isAccessible,
+      connectionAttempts.push(attemptRecord(connection, 'default-port', {
+        processFound: hasProcess,
+        portReachable: true,
+        versionInfo,
+        webSocketError: error.message,
         error: error.message
-      });
+      }));
     }
   }
 
   // Generate detailed error message with connection attempt details
+  const mark = value => value === null ? '?' : value ? '✓' : '✗';
   const attemptDetails = connectionAttempts.map(attempt =>
-    `   ${attempt.browser} (port ${attempt.port}): ${attempt.error} [Process: ${attempt.hasProcess ? '✓' : '✗'}, Port: ${attempt.isAccessible ? '✓' : '✗'}]`
+    `   ${attempt.brand} (${attempt.host}:${attempt.port}, ${attempt.source}): ${attempt.error} [Process: ${mark(attempt.processFound)}, Port: ${mark(attempt.portReachable)}]`
   ).join('\n');
 
   const errorMessage = `No running browser found with debugging enabled.
@@ -299,50 +355,123 @@ To fix this:
      : 'microsoft-edge --remote-debugging-port=9223'
    }
 
+   Firefox (WebDriver BiDi):
+   ${process.platform === 'win32'
+     ? 'firefox.exe --remote-debugging-port=9224'
+     : process.platform === 'darwin'
+     ? '/Applications/Firefox.app/Contents/MacOS/firefox --remote-debugging-port=9224'
+     : 'firefox --remote-debugging-port=9224'
+   }
+
+   Browsers started with --remote-debugging-port=0 are found through their DevToolsActivePort
+   file; for a custom --user-data-dir pass --scan-ports 9222-9300 (or the exact --port)
+
 2. Or use --launch flag to start a new browser instance
 3. Or specify a custom --endpoint with the exact WebSocket URL
+4. For browsers in containers/VMs, pass --host (or set ANY_BROWSER_HOST) and make sure the
+   debugging port is forwarded (e.g. ssh -L 9222:localhost:9222 devbox)
 
 Note: Make sure no firewall is blocking the debugging ports and that you're not running the browser in incognito/private mode.`;
 
   throw new Error(errorMessage);
 }
 
+/**
+ * Find the Playwright page backing an existing browser tab
+ * Matches on CDP target id first and falls back to the tab URL
+ * @param {Browser} browser - Browser connected over CDP
+ * @param {Object} target - Target entry from the /json endpoint ({ id, url })
+ * @returns {Promise<Page|null>} Matching page, or null if none matches
+ */
+export async function findExistingPage(browser, target) {
+  const pages = browser.contexts().flatMap(context => context.pages());
+
+  if (target.id) {
+    for (const page of pages) {
+      if (await getTargetId(page) === target.id) {
+        return page;
+      }
+    }
+  }
+
+  return pages.find(page => page.url() === target.url) || null;
+}
+
+/**
+ * Get the CDP target id of a Playwright page
+ * @param {Page} page - Page of a Chromium-based browser
+ * @returns {Promise<string|null>} Target id, or null if unavailable
+ */
+export async function getTargetId(page) {
+  try {
+    const session = await page.context().newCDPSession(page);
+    const { targetInfo } = await session.send('Target.getTargetInfo');
+    await session.detach();
+    return targetInfo.targetId;
+  } catch {
+    // Page closed meanwhile or target info unavailable
+    return null;
+  }
+}
+
 /**
  * Launches a new browser instance as a last resort
- * @param {string} browserPref - Browser preference
- * @param {boolean} verbose - Enable verbose logging
- * @returns {Promise<Browser>} Launched browser instance
+ * Profiles with a user-data-dir are launched as a persistent context so cookies,
+ * logins and extensions survive restarts
+ * @param {string} browserPref - Browser preference (used when the profile names no browser)
+ * @param {Object} [options] - Launch options
+ * @param {Object} [options.profile] - Resolved launch profile (default: the built-in default profile)
+ * @param {boolean} [options.verbose] - Enable verbose logging
+ * @returns {Promise<{browser: Browser|null, context: BrowserContext|null, contextOptions: Object}>} Launched
+ *   browser; persistent profiles yield their context instead (browser is null), others the options for newContext()
  */
-export async function launchBrowser(browserPref = 'detect', verbose = false) {
+export async function launchBrowser(browserPref = 'detect', { profile, verbose = false } = {}) {
+  let launchProfile = profile ?? await resolveLaunchProfile();
+  const engine = (launchProfile.browser ?? browserPref) === 'firefox' ? 'firefox' : 'chromium';
+
+  // A headful browser cannot start without a display (CI runners, containers)
+  if (!launchProfile.headless && !hasDisplay()) {
+    if (verbose) {
+      console.error('🖥️  No display available, launching headless (pass --headless to make this explicit)');
+    }
+    launchProfile = { ...launchProfile, headless: true };
+  }
+
   if (verbose) {
-    console.error(`🚀 Launching new ${browserPref} browser instance as fallback...`);
-    console.error('⚠️  Note: This will create a separate browser instance without your existing session data');
+    console.error(`🚀 Launching new ${launchProfile.browser ?? browserPref} browser instance as fallback (profile: ${launchProfile.name})...`);
+    if (!launchProfile.userDataDir) {
+      console.error('⚠️  Note: This will create a separate browser instance without your existing session data');
+    }
   }
 
   try {
-    const launchOptions = {
-      headless: false,
-      devtools: false, // Don't auto-open devtools
-      args: [
-        '--no-first-run',
-        '--no-default-browser-check',
-        '--disable-background-timer-throttling',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-renderer-backgrounding'
-      ]
-    };
-
-    const browser = browserPref === 'firefox'
-      ? await firefox.launch(launchOptions)
-      : await chromium.launch(launchOptions);
+    const launcher = engine === 'firefox' ? firefox : chromium;
+    const launchOptions = playwrightLaunchOptions(launchProfile, engine);
+
+    // Without Playwright's own Chromium download, fall back to any Chrome installed here
+    if (engine === 'chromium' && !launchOptions.executablePath && !existsSync(chromium.executablePath())) {
+      const found = await findChromeExecutable({ verbose });
+      if (found) {
+        launchOptions.executablePath = found.executablePath;
+      }
+    }
+    const contextOptions = profileContextOptions(launchProfile);
+
+    let browser = null;
+    let context = null;
+    if (launchProfile.userDataDir) {
+      context = await launcher.launchPersistentContext(launchProfile.userDataDir, { ...launchOptions, ...contextOptions });
+    } else {
+      browser = await launcher.launch(launchOptions);
+    }
 
     if (verbose) {
-      console.error('✅ Successfully launched new browser instance');
+      console.error(`✅ Successfully launched new browser instance${launchProfile.userDataDir ? ` with user data dir ${launchProfile.userDataDir}` : ''}`);
       console.error('💡 To connect to your existing browser instead, restart it with debugging enabled');
     }
 
-    return browser;
+    return { browser, context, contextOptions };
   } catch (error) {
-    throw new Error(`Failed to launch ${browserPref} browser: ${error.message}`);
+    throw new Error(`Failed to launch ${launchProfile.browser ?? browserPref} browser: ${error.message}`);
   }
 }
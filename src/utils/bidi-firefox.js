@@ -0,0 +1,491 @@
+import WebSocket from 'ws';
+import { EventEmitter } from 'events';
+
+/**
+ * WebDriver BiDi client for Firefox
+ * Firefox started with --remote-debugging-port serves BiDi on ws://host:port/session;
+ * it does not speak CDP, so Playwright's connectOverCDP cannot attach to it
+ */
+
+/**
+ * WebDriver key codes for named keys (https://w3c.github.io/webdriver/#keyboard-actions)
+ */
+const WEBDRIVER_KEYS = {
+  Backspace: '\uE003',
+  Tab: '\uE004',
+  Enter: '\uE007',
+  Shift: '\uE008',
+  Control: '\uE009',
+  Alt: '\uE00A',
+  Pause: '\uE00B',
+  Escape: '\uE00C',
+  Space: ' ',
+  PageUp: '\uE00E',
+  PageDown: '\uE00F',
+  End: '\uE010',
+  Home: '\uE011',
+  ArrowLeft: '\uE012',
+  ArrowUp: '\uE013',
+  ArrowRight: '\uE014',
+  ArrowDown: '\uE015',
+  Insert: '\uE016',
+  Delete: '\uE017',
+  F1: '\uE031',
+  F2: '\uE032',
+  F3: '\uE033',
+  F4: '\uE034',
+  F5: '\uE035',
+  F6: '\uE036',
+  F7: '\uE037',
+  F8: '\uE038',
+  F9: '\uE039',
+  F10: '\uE03A',
+  F11: '\uE03B',
+  F12: '\uE03C',
+  Meta: '\uE03D'
+};
+
+/**
+ * Build the BiDi session WebSocket URL for a connection
+ * @param {Object} connection - Connection descriptor
+ * @returns {string} WebSocket URL (ws://host:port/session)
+ */
+export function bidiEndpoint(connection) {
+  return `ws://${connection.host}:${connection.port}/session`;
+}
+
+/**
+ * Convert a BiDi RemoteValue into a plain JSON-friendly value
+ * @param {Object} remote - RemoteValue from script.evaluate / script.callFunction
+ * @returns {*} Deserialized value
+ */
+export function deserializeRemoteValue(remote) {
+  if (!remote) {
+    return undefined;
+  }
+
+  switch (remote.type) {
+    case 'undefined':
+      return undefined;
+    case 'null':
+      return null;
+    case 'string':
+    case 'boolean':
+    case 'date':
+      return remote.value;
+    case 'number':
+      return typeof remote.value === 'string' ? Number(remote.value) : remote.value;
+    case 'bigint':
+      return remote.value;
+    case 'regexp':
+      return `/${remote.value.pattern}/${remote.value.flags || ''}`;
+    case 'array':
+    case 'set':
+      return (remote.value || []).map(deserializeRemoteValue);
+    case 'object':
+    case 'map':
+      return Object.fromEntries((remote.value || []).map(([key, value]) => [
+        typeof key === 'string' ? key : deserializeRemoteValue(key),
+        deserializeRemoteValue(value)
+      ]));
+    default:
+      // Nodes, windows, functions, promises... are not transferable as data
+      return `[${remote.type}]`;
+  }
+}
+
+/**
+ * Convert a plain value into a BiDi LocalValue argument
+ * @param {*} value - Value to pass to script.callFunction
+ * @returns {Object} LocalValue
+ */
+export function serializeArgument(value) {
+  if (value === undefined) {
+    return { type: 'undefined' };
+  }
+  if (value === null) {
+    return { type: 'null' };
+  }
+  if (typeof value === 'string' || typeof value === 'boolean') {
+    return { type: typeof value, value };
+  }
+  if (typeof value === 'number') {
+    return { type: 'number', value: Number.isFinite(value) ? value : String(value) };
+  }
+  if (Array.isArray(value)) {
+    return { type: 'array', value: value.map(serializeArgument) };
+  }
+  if (typeof value === 'object') {
+    return { type: 'object', value: Object.entries(value).map(([key, item]) => [key, serializeArgument(item)]) };
+  }
+  throw new Error(`Cannot pass value of type ${typeof value} to the browser`);
+}
+
+/**
+ * Split a key combination like "Control+Shift+T" into WebDriver key values
+ * @param {string} combo - Key or key combination
+ * @returns {string[]} Key values, modifiers first
+ */
+function parseKeyCombo(combo) {
+  const parts = combo === '+' ? ['+'] : combo.split('+').map(part => part || '+');
+  return parts.map(part => {
+    if (WEBDRIVER_KEYS[part]) {
+      return WEBDRIVER_KEYS[part];
+    }
+    if ([...part].length !== 1) {
+      throw new Error(`Unknown key: ${part}`);
+    }
+    return part;
+  });
+}
+
+/**
+ * Firefox WebDriver BiDi client exposing the operations the MCP tools need
+ * Operations act on the current top-level browsing context (tab)
+ */
+export class FirefoxBiDiClient extends EventEmitter {
+  constructor() {
+    super();
+    this.ws = null;
+    this.messageId = 0;
+    this.pendingMessages = new Map();
+    this.connected = false;
+    this.sessionId = null;
+    this.currentContext = null;
+  }
+
+  /**
+   * Connect to the BiDi WebSocket endpoint
+   * @param {string} wsUrl - BiDi WebSocket URL (e.g., ws://localhost:9224/session)
+   * @param {Object} [options] - Connection options
+   * @param {Object} [options.headers] - Extra handshake headers
+   */
+  async connect(wsUrl, { headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+      this.ws = new WebSocket(wsUrl, { headers });
+
+      this.ws.on('open', () => {
+        this.connected = true;
+        resolve();
+      });
+
+      this.ws.on('message', (data) => {
+        try {
+          const message = JSON.parse(data.toString());
+
+          if (message.id !== undefined && this.pendingMessages.has(message.id)) {
+            const { resolve, reject } = this.pendingMessages.get(message.id);
+            this.pendingMessages.delete(message.id);
+
+            if (message.type === 'error') {
+              reject(new Error(`${message.error}: ${message.message}`));
+            } else {
+              resolve(message.result);
+            }
+          } else if (message.type === 'event') {
+            this.emit(message.method, message.params);
+            this.emit('event', message);
+          }
+        } catch (error) {
+          console.error('BiDi message parse error:', error);
+        }
+      });
+
+      this.ws.on('error', (error) => {
+        reject(error);
+      });
+
+      this.ws.on('close', () => {
+        this.connected = false;
+        for (const { reject } of this.pendingMessages.values()) {
+          reject(new Error('BiDi WebSocket closed'));
+        }
+        this.pendingMessages.clear();
+        this.emit('disconnected');
+      });
+    });
+  }
+
+  /**
+   * Send a BiDi command
+   * @param {string} method - BiDi method name (e.g., browsingContext.navigate)
+   * @param {Object} params - Command parameters
+   * @param {number} [timeout] - Timeout in milliseconds (default: 30000)
+   * @returns {Promise<Object>} Command result
+   */
+  async sendCommand(method, params = {}, timeout = 30000) {
+    if (!this.connected) {
+      throw new Error('BiDi client not connected');
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = ++this.messageId;
+      const timer = setTimeout(() => {
+        if (this.pendingMessages.has(id)) {
+          this.pendingMessages.delete(id);
+          reject(new Error(`BiDi command timeout: ${method}`));
+        }
+      }, timeout);
+
+      this.pendingMessages.set(id, {
+        resolve: (result) => {
+          clearTimeout(timer);
+          resolve(result);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      });
+
+      this.ws.send(JSON.stringify({ id, method, params }), (error) => {
+        if (error) {
+          this.pendingMessages.delete(id);
+          clearTimeout(timer);
+          reject(error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Start a BiDi session and select the first open tab
+   * @returns {Promise<Object>} Session capabilities
+   */
+  async startSession() {
+    const { sessionId, capabilities } = await this.sendCommand('session.new', { capabilities: {} });
+    this.sessionId = sessionId;
+
+    const contexts = await this.getContexts();
+    this.currentContext = contexts[0]?.context || (await this.createContext()).context;
+
+    return capabilities;
+  }
+
+  /**
+   * List top-level browsing contexts (tabs)
+   * @returns {Promise<Array>} Browsing context infos ({ context, url })
+   */
+  async getContexts() {
+    const { contexts } = await this.sendCommand('browsingContext.getTree', { maxDepth: 0 });
+    return contexts;
+  }
+
+  /**
+   * Open a new tab
+   * @param {string} [url] - URL to open
+   * @returns {Promise<Object>} New browsing context ({ context })
+   */
+  async createContext(url) {
+    const created = await this.sendCommand('browsingContext.create', { type: 'tab' });
+    if (url) {
+      await this.sendCommand('browsingContext.navigate', { context: created.context, url, wait: 'complete' });
+    }
+    return created;
+  }
+
+  /**
+   * Make a tab the current one and bring it to the foreground
+   * @param {string} context - Browsing context ID
+   */
+  async selectContext(context) {
+    await this.sendCommand('browsingContext.activate', { context });
+    this.currentContext = context;
+  }
+
+  /**
+   * Navigate the current tab
+   * @param {string} url - URL to navigate to
+   * @param {string} [wait] - Readiness state to wait for ('none', 'interactive', 'complete')
+   * @returns {Promise<Object>} Navigation result ({ navigation, url })
+   */
+  async navigate(url, wait = 'complete') {
+    return await this.sendCommand('browsingContext.navigate', { context: this.currentContext, url, wait });
+  }
+
+  /**
+   * Evaluate a JavaScript expression in the current tab
+   * @param {string} expression - Expression to evaluate
+   * @returns {Promise<*>} Deserialized result
+   */
+  async evaluate(expression) {
+    const result = await this.sendCommand('script.evaluate', {
+      expression,
+      target: { context: this.currentContext },
+      awaitPromise: true,
+      resultOwnership: 'none',
+      serializationOptions: { maxObjectDepth: 10, maxDomDepth: 0 }
+    });
+    return this._unwrapResult(result);
+  }
+
+  /**
+   * Call a function in the current tab with serialized arguments
+   * @param {string|Function} fn - Function (or its source) to call
+   * @param {Array} [args] - Arguments passed as data
+   * @param {Object} [options] - Call options
+   * @param {boolean} [options.raw] - Return the RemoteValue instead of deserializing it
+   * @returns {Promise<*>} Deserialized result (or RemoteValue when raw)
+   */
+  async callFunction(fn, args = [], { raw = false } = {}) {
+    const result = await this.sendCommand('script.callFunction', {
+      functionDeclaration: fn.toString(),
+      arguments: args.map(serializeArgument),
+      target: { context: this.currentContext },
+      awaitPromise: true,
+      resultOwnership: 'none',
+      serializationOptions: { maxObjectDepth: 10, maxDomDepth: 0 }
+    });
+    if (result.type === 'exception') {
+      return this._unwrapResult(result);
+    }
+    return raw ? result.result : deserializeRemoteValue(result.result);
+  }
+
+  /**
+   * Get page info
+   */
+  async getPageInfo() {
+    const [url, title] = await Promise.all([
+      this.evaluate('window.location.href'),
+      this.evaluate('document.title')
+    ]);
+    return { url, title };
+  }
+
+  /**
+   * Take a screenshot of the current tab
+   * @param {Object} [options] - Screenshot options
+   * @param {boolean} [options.fullPage] - Capture the whole document instead of the viewport
+   * @param {string} [options.type] - 'png' or 'jpeg'
+   * @param {number} [options.quality] - JPEG quality 0-100
+   * @returns {Promise<string>} Base64 image data
+   */
+  async screenshot({ fullPage = false, type = 'png', quality } = {}) {
+    const format = type === 'jpeg'
+      ? { type: 'image/jpeg', quality: (quality ?? 80) / 100 }
+      : { type: 'image/png' };
+    const { data } = await this.sendCommand('browsingContext.captureScreenshot', {
+      context: this.currentContext,
+      origin: fullPage ? 'document' : 'viewport',
+      format
+    });
+    return data;
+  }
+
+  /**
+   * Find an element, scroll it into view and return its shared reference
+   * @param {string} selector - CSS selector
+   * @returns {Promise<Object>} Shared reference ({ sharedId })
+   */
+  async resolveElement(selector) {
+    const node = await this.callFunction((selector) => {
+      const element = document.querySelector(selector);
+      if (!element) {
+        throw new Error(`Element not found: ${selector}`);
+      }
+      element.scrollIntoView({ block: 'center', inline: 'center' });
+      return element;
+    }, [selector], { raw: true });
+
+    if (node.type !== 'node' || !node.sharedId) {
+      throw new Error(`Selector did not resolve to an element: ${selector}`);
+    }
+    return { sharedId: node.sharedId };
+  }
+
+  /**
+   * Click an element
+   * @param {string} selector - CSS selector
+   */
+  async click(selector) {
+    const element = await this.resolveElement(selector);
+    await this.sendCommand('input.performActions', {
+      context: this.currentContext,
+      actions: [{
+        type: 'pointer',
+        id: 'mouse',
+        parameters: { pointerType: 'mouse' },
+        actions: [
+          { type: 'pointerMove', x: 0, y: 0, origin: { type: 'element', element } },
+          { type: 'pointerDown', button: 0 },
+          { type: 'pointerUp', button: 0 }
+        ]
+      }]
+    });
+    await this.sendCommand('input.releaseActions', { context: this.currentContext });
+  }
+
+  /**
+   * Type text into the focused element
+   * @param {string} text - Text to type
+   */
+  async type(text) {
+    await this.sendCommand('input.performActions', {
+      context: this.currentContext,
+      actions: [{
+        type: 'key',
+        id: 'keyboard',
+        actions: [...text].flatMap(char => [
+          { type: 'keyDown', value: char },
+          { type: 'keyUp', value: char }
+        ])
+      }]
+    });
+  }
+
+  /**
+   * Replace the value of an input field
+   * @param {string} selector - CSS selector
+   * @param {string} value - Value to type
+   */
+  async fill(selector, value) {
+    await this.click(selector);
+    await this.callFunction((selector) => {
+      const element = document.querySelector(selector);
+      if (typeof element.select === 'function') {
+        element.select();
+      } else {
+        document.getSelection().selectAllChildren(element);
+      }
+    }, [selector]);
+    await this.press('Delete');
+    await this.type(value);
+  }
+
+  /**
+   * Press a key or key combination (e.g., "Enter", "Control+a")
+   * @param {string} combo - Key or key combination
+   */
+  async press(combo) {
+    const keys = parseKeyCombo(combo);
+    await this.sendCommand('input.performActions', {
+      context: this.currentContext,
+      actions: [{
+        type: 'key',
+        id: 'keyboard',
+        actions: [
+          ...keys.map(value => ({ type: 'keyDown', value })),
+          ...keys.slice().reverse().map(value => ({ type: 'keyUp', value }))
+        ]
+      }]
+    });
+  }
+
+  /**
+   * Close the connection (the browser keeps running)
+   */
+  close() {
+    if (this.ws) {
+      this.ws.close();
+      this.connected = false;
+    }
+  }
+
+  _unwrapResult(result) {
+    if (result.type === 'exception') {
+      throw new Error(result.exceptionDetails?.text || 'Script evaluation failed');
+    }
+    return deserializeRemoteValue(result.result);
+  }
+}
@@ -0,0 +1,207 @@
+import { access, readdir } from 'fs/promises';
+import { constants } from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Discovery of Chrome/Chromium executables for launching
+ * Checked in order: CHROME_PATH, Playwright's cached browsers, Chrome for Testing
+ * downloads (~/.cache/puppeteer), well-known names on PATH, and the platform's
+ * default install locations.
+ */
+
+/**
+ * Executable names looked up on PATH
+ */
+const PATH_NAMES = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser'];
+
+/**
+ * Check that a file exists and is executable
+ * @param {string} file - Candidate path
+ * @returns {Promise<boolean>} True if it can be executed
+ */
+async function isExecutable(file) {
+  try {
+    await access(file, process.platform === 'win32' ? constants.F_OK : constants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Compare two version-like directory names (chromium-1179, linux-141.0.7390.54), newest first
+ * @param {string} a - Directory name
+ * @param {string} b - Directory name
+ * @returns {number} Sort order
+ */
+function newestFirst(a, b) {
+  const parts = name => (name.match(/\d+/g) || []).map(Number);
+  const [pa, pb] = [parts(a), parts(b)];
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pb[i] ?? 0) - (pa[i] ?? 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Directory Playwright installs its browsers into
+ * @returns {string} Cache directory
+ */
+function playwrightCacheDir() {
+  if (process.env.PLAYWRIGHT_BROWSERS_PATH && process.env.PLAYWRIGHT_BROWSERS_PATH !== '0') {
+    return process.env.PLAYWRIGHT_BROWSERS_PATH;
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Caches', 'ms-playwright');
+  }
+  if (process.platform === 'win32') {
+    return path.join(process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local'), 'ms-playwright');
+  }
+  return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'ms-playwright');
+}
+
+/**
+ * Relative paths of the browser binary inside a downloaded build
+ * @returns {Array<string>} Candidate paths for this platform
+ */
+function bundledBinaryPaths() {
+  if (process.platform === 'darwin') {
+    return [
+      'chrome-mac/Chromium.app/Contents/MacOS/Chromium',
+      'chrome-mac-arm64/Google Chrome for Testing.app/Contents/MacOS/Google Chrome for Testing',
+      'chrome-mac-x64/Google Chrome for Testing.app/Contents/MacOS/Google Chrome for Testing'
+    ];
+  }
+  if (process.platform === 'win32') {
+    return ['chrome-win/chrome.exe', 'chrome-win64/chrome.exe'];
+  }
+  return ['chrome-linux/chrome', 'chrome-linux64/chrome'];
+}
+
+/**
+ * Newest browser binary among cached downloads
+ * @param {string} cacheDir - Directory holding one subdirectory per download
+ * @param {RegExp} pattern - Matches the download directories to consider
+ * @returns {Promise<string|null>} Executable path, or null if none is installed
+ */
+async function newestCachedBinary(cacheDir, pattern) {
+  let entries;
+  try {
+    entries = await readdir(cacheDir);
+  } catch {
+    return null;
+  }
+
+  for (const entry of entries.filter(name => pattern.test(name)).sort(newestFirst)) {
+    for (const binary of bundledBinaryPaths()) {
+      const file = path.join(cacheDir, entry, binary);
+      if (await isExecutable(file)) {
+        return file;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find an executable on PATH
+ * @param {string} name - Executable name
+ * @returns {Promise<string|null>} Full path, or null if not found
+ */
+async function which(name) {
+  const extensions = process.platform === 'win32' ? ['.exe', ''] : [''];
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const extension of extensions) {
+      const file = path.join(dir, name + extension);
+      if (await isExecutable(file)) {
+        return file;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Default install locations of Chrome on macOS and Windows
+ * @returns {Array<string>} Candidate paths
+ */
+function installLocations() {
+  if (process.platform === 'darwin') {
+    return [
+      '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+      '/Applications/Chromium.app/Contents/MacOS/Chromium'
+    ];
+  }
+  if (process.platform === 'win32') {
+    return [process.env.PROGRAMFILES, process.env['PROGRAMFILES(X86)'], process.env.LOCALAPPDATA]
+      .filter(Boolean)
+      .map(dir => path.join(dir, 'Google', 'Chrome', 'Application', 'chrome.exe'));
+  }
+  return [];
+}
+
+/**
+ * Find a Chrome or Chromium executable to launch
+ * @param {Object} [options] - Discovery options
+ * @param {boolean} [options.verbose] - Enable verbose logging
+ * @returns {Promise<{executablePath: string, source: string}|null>} Executable and where it was found, or null
+ */
+export async function findChromeExecutable({ verbose = false } = {}) {
+  const found = (executablePath, source) => {
+    if (verbose) {
+      console.error(`🔎 Using Chrome executable from ${source}: ${executablePath}`);
+    }
+    return { executablePath, source };
+  };
+
+  if (process.env.CHROME_PATH) {
+    if (await isExecutable(process.env.CHROME_PATH)) {
+      return found(process.env.CHROME_PATH, 'CHROME_PATH');
+    }
+    if (verbose) {
+      console.error(`⚠️  CHROME_PATH ${process.env.CHROME_PATH} is not executable, looking elsewhere`);
+    }
+  }
+
+  const playwright = await newestCachedBinary(playwrightCacheDir(), /^chromium-\d+$/);
+  if (playwright) {
+    return found(playwright, 'Playwright browser cache');
+  }
+
+  const puppeteerCache = process.env.PUPPETEER_CACHE_DIR || path.join(os.homedir(), '.cache', 'puppeteer');
+  const chromeForTesting = await newestCachedBinary(path.join(puppeteerCache, 'chrome'), /^[a-z0-9]+-[\d.]+$/);
+  if (chromeForTesting) {
+    return found(chromeForTesting, 'Chrome for Testing cache');
+  }
+
+  for (const name of PATH_NAMES) {
+    const file = await which(name);
+    if (file) {
+      return found(file, 'PATH');
+    }
+  }
+
+  for (const file of installLocations()) {
+    if (await isExecutable(file)) {
+      return found(file, 'default install location');
+    }
+  }
+
+  if (verbose) {
+    console.error('⚠️  No Chrome executable found (set CHROME_PATH to point at one)');
+  }
+  return null;
+}
+
+/**
+ * Whether a headful browser can open windows here
+ * On Linux this requires an X11 or Wayland display
+ * @returns {boolean} True if a display is available
+ */
+export function hasDisplay() {
+  return process.platform !== 'linux' || !!(process.env.DISPLAY || process.env.WAYLAND_DISPLAY);
+}
@@ -0,0 +1,98 @@
+import { z } from 'zod';
+
+/**
+ * Optional `browser` tool argument shared by every tool that acts on a browser
+ */
+export const browserArgument = z.string().optional().describe('Name of the browser to use (default: the selected browser, see browser_list_browsers)');
+
+/**
+ * Registry of named browser connections
+ * Each entry holds { name, browser, context, page, connection, targetId, supervisor }
+ * and one entry is selected as the default target for tools
+ */
+export class BrowserRegistry {
+  constructor() {
+    this.entries = new Map();
+    this.currentName = null;
+  }
+
+  /**
+   * Pick an unused name based on the browser brand (chrome, chrome-2, ...)
+   * @param {string} base - Preferred name
+   * @returns {string} Unused name
+   */
+  uniqueName(base) {
+    let name = base;
+    for (let i = 2; this.entries.has(name); i++) {
+      name = `${base}-${i}`;
+    }
+    return name;
+  }
+
+  /**
+   * Add a browser entry; the first entry becomes the selected browser
+   * @param {Object} entry - Browser entry (must have a unique name)
+   * @returns {Object} The added entry
+   */
+  add(entry) {
+    if (this.entries.has(entry.name)) {
+      throw new Error(`A browser named "${entry.name}" is already connected`);
+    }
+    this.entries.set(entry.name, entry);
+    if (!this.currentName) {
+      this.currentName = entry.name;
+    }
+    return entry;
+  }
+
+  /**
+   * Get a browser entry by name, or the selected entry
+   * @param {string} [name] - Browser name (default: selected browser)
+   * @returns {Object} Browser entry
+   */
+  get(name) {
+    const key = name ?? this.currentName;
+    const entry = key !== null ? this.entries.get(key) : undefined;
+    if (!entry) {
+      if (name === undefined) {
+        throw new Error('No browser connected');
+      }
+      throw new Error(`Unknown browser "${name}". Connected browsers: ${[...this.entries.keys()].join(', ') || 'none'}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Make a browser the default target for tools
+   * @param {string} name - Browser name
+   * @returns {Object} Selected entry
+   */
+  select(name) {
+    const entry = this.get(name);
+    this.currentName = entry.name;
+    return entry;
+  }
+
+  /**
+   * Remove a browser entry, selecting another one if it was selected
+   * @param {string} name - Browser name
+   */
+  remove(name) {
+    this.entries.delete(name);
+    if (this.currentName === name) {
+      this.currentName = this.entries.keys().next().value ?? null;
+    }
+  }
+
+  /**
+   * All entries in connection order
+   * @returns {Array<Object>} Browser entries
+   */
+  list() {
+    return [...this.entries.values()];
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
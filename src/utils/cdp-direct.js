@@ -1,26 +1,732 @@
 import WebSocket from 'ws';
 import { EventEmitter } from 'events';
+import { createConnection, listTargets, requestDevTools } from './cdp-http.js';
+import { actionabilityIssue, elementBox, focusAndSelect, hitTargetIssue, pageFunctionSource, querySelectorDeep } from './page-functions.js';
+import { MODIFIER_BITS, describeKey, isKnownKey, modifierMask, parseKeyCombo, resolveKeyAlias } from './keyboard-layout.js';
+
+/**
+ * Page.lifecycleEvent names for each waitUntil option
+ */
+const LIFECYCLE_EVENTS = {
+  load: 'load',
+  domcontentloaded: 'DOMContentLoaded',
+  networkidle: 'networkIdle'
+};
+
+/**
+ * Center of the first non-empty quad from DOM.getContentQuads
+ * @param {Array<Array<number>>} quads - Quads as [x1, y1, x2, y2, x3, y3, x4, y4]
+ * @returns {{x: number, y: number}|null} Center, or null if every quad is empty
+ */
+function quadCenter(quads = []) {
+  for (const quad of quads) {
+    const area = Math.abs(
+      (quad[0] * quad[3] - quad[2] * quad[1]) + (quad[2] * quad[5] - quad[4] * quad[3]) +
+      (quad[4] * quad[7] - quad[6] * quad[5]) + (quad[6] * quad[1] - quad[0] * quad[7])
+    ) / 2;
+    if (area >= 1) {
+      return {
+        x: (quad[0] + quad[2] + quad[4] + quad[6]) / 4,
+        y: (quad[1] + quad[3] + quad[5] + quad[7]) / 4
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Commands, events and page helpers shared by the page/browser connection and
+ * the flattened target sessions multiplexed over it
+ *
+ * Events are emitted twice: as a generic 'event' with the raw message, and under
+ * their method name with the params, e.g. client.on('Network.requestWillBeSent', params => ...).
+ * Domains that emit events must be enabled first (see enableDomain).
+ * Subclasses implement sendCommand(method, params).
+ */
+class CDPSessionBase extends EventEmitter {
+  constructor() {
+    super();
+    this.domains = new Map();
+    this.pressedModifiers = new Set();
+    // Navigations in flight that need Page.lifecycleEvent
+    this.lifecycleNavigations = 0;
+  }
+
+  /**
+   * Emit an event message to listeners
+   * @param {Object} message - CDP event message
+   */
+  _dispatch(message) {
+    this.emit('event', message);
+    if (message.method) {
+      this.emit(message.method, message.params ?? {}, message);
+    }
+  }
+
+  /**
+   * Wait for the next event of a method that matches a predicate
+   * Subscribe before triggering the action that causes the event, e.g.
+   * const loaded = client.waitForEvent('Page.loadEventFired'); await client.navigate(url); await loaded;
+   * @param {string} method - CDP event name (e.g. 'Page.loadEventFired')
+   * @param {Function} [predicate] - Receives the event params; return true to accept the event
+   * @param {number} [timeout] - Timeout in milliseconds (default: 30000)
+   * @returns {Promise<Object>} Params of the matching event
+   */
+  waitForEvent(method, predicate = () => true, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.off(method, onEvent);
+        this.off('disconnected', onDisconnect);
+        this.off('detached', onDisconnect);
+      };
+      const onEvent = (params) => {
+        let matches;
+        try {
+          matches = predicate(params);
+        } catch (error) {
+          cleanup();
+          reject(error);
+          return;
+        }
+        if (matches) {
+          cleanup();
+          resolve(params);
+        }
+      };
+      const onDisconnect = () => {
+        cleanup();
+        reject(new Error(`CDP connection closed while waiting for ${method}`));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Timeout after ${timeout}ms waiting for ${method}`));
+      }, timeout);
+
+      this.on(method, onEvent);
+      // Connections emit 'disconnected', sessions 'detached'
+      this.once('disconnected', onDisconnect);
+      this.once('detached', onDisconnect);
+    });
+  }
+
+  /**
+   * Enable a CDP domain (Page, Network, Runtime, ...) for the current session
+   * Enabling is reference counted: the domain stays enabled until every caller has disabled it
+   * @param {string} domain - Domain name
+   * @param {Object} [params] - Parameters for <domain>.enable (only used by the first caller)
+   */
+  async enableDomain(domain, params = {}) {
+    const state = this.domains.get(domain);
+    if (state) {
+      state.refs++;
+      await state.ready;
+      return;
+    }
+
+    const ready = this.sendCommand(`${domain}.enable`, params);
+    this.domains.set(domain, { refs: 1, ready });
+    try {
+      await ready;
+    } catch (error) {
+      this.domains.delete(domain);
+      throw error;
+    }
+  }
+
+  /**
+   * Release one enableDomain call; the domain is disabled when nobody needs it anymore
+   * @param {string} domain - Domain name
+   */
+  async disableDomain(domain) {
+    const state = this.domains.get(domain);
+    if (!state) {
+      return;
+    }
+
+    state.refs--;
+    if (state.refs > 0) {
+      return;
+    }
+
+    this.domains.delete(domain);
+    if (this.connected) {
+      await this.sendCommand(`${domain}.disable`);
+    }
+  }
+
+  /**
+   * Whether a domain is currently enabled through enableDomain
+   * @param {string} domain - Domain name
+   * @returns {boolean} True if at least one caller holds the domain
+   */
+  isDomainEnabled(domain) {
+    return this.domains.has(domain);
+  }
+
+  /**
+   * Call a function in the page with arguments passed as data (Runtime.callFunctionOn)
+   * Arguments are serialized by CDP, so selectors and text can never break out into code
+   * @param {Function|string} fn - Self-contained function (see page-functions.js) or its source
+   * @param {Array} [args] - JSON-serializable arguments
+   * @returns {Promise<*>} The function's return value (promises are awaited)
+   */
+  async callFunction(fn, args = []) {
+    const objectId = await this._globalObject();
+    try {
+      return await this.callFunctionOn(objectId, fn, args);
+    } finally {
+      this.releaseObject(objectId);
+    }
+  }
+
+  /**
+   * Call a function with `this` bound to a remote object, e.g. an element handle
+   * @param {string} objectId - Remote object id
+   * @param {Function|string} fn - Self-contained function or its source
+   * @param {Array} [args] - JSON-serializable arguments
+   * @returns {Promise<*>} The function's return value (promises are awaited)
+   */
+  async callFunctionOn(objectId, fn, args = []) {
+    const { result } = await this._callFunctionOn(objectId, fn, args, true);
+    return result.value;
+  }
+
+  /**
+   * Handle to the first element matching a selector
+   * Release it with releaseObject when done.
+   * @param {string} selector - CSS selector; pierces open shadow roots and supports >> chains
+   * @returns {Promise<string|null>} Remote object id, or null if nothing matches
+   */
+  async querySelector(selector) {
+    const objectId = await this._globalObject();
+    try {
+      const { result } = await this._callFunctionOn(objectId, querySelectorDeep, [selector], false);
+      return result.subtype === 'null' ? null : result.objectId;
+    } finally {
+      this.releaseObject(objectId);
+    }
+  }
+
+  /**
+   * Release a remote object without waiting for the reply
+   * @param {string} objectId - Remote object id
+   */
+  releaseObject(objectId) {
+    this.sendCommand('Runtime.releaseObject', { objectId }).catch(() => {});
+  }
+
+  /**
+   * Handle to the page's global object
+   * @returns {Promise<string>} Remote object id
+   */
+  async _globalObject() {
+    const { result } = await this.sendCommand('Runtime.evaluate', { expression: 'globalThis' });
+    return result.objectId;
+  }
+
+  /**
+   * Runtime.callFunctionOn, turning page exceptions into errors
+   * @param {string} objectId - Object the function is called on
+   * @param {Function|string} fn - Function or its source
+   * @param {Array} args - JSON-serializable arguments
+   * @param {boolean} returnByValue - Return the value instead of a remote object
+   * @returns {Promise<Object>} Command result
+   */
+  async _callFunctionOn(objectId, fn, args, returnByValue) {
+    const result = await this.sendCommand('Runtime.callFunctionOn', {
+      functionDeclaration: pageFunctionSource(fn),
+      objectId,
+      arguments: args.map(value => (value === undefined ? {} : { value })),
+      returnByValue,
+      awaitPromise: true
+    });
+
+    if (result.exceptionDetails) {
+      const { exception, text } = result.exceptionDetails;
+      throw new Error(exception?.description ?? exception?.value ?? text);
+    }
+    return result;
+  }
+
+  /**
+   * Wait until an element can receive pointer input: attached, visible, stable and
+   * not covered by another element. Scrolls it into view on the way.
+   * @param {string} selector - CSS selector
+   * @param {Object} [options] - Wait options
+   * @param {number} [options.timeout] - Milliseconds to wait (default: 30000)
+   * @returns {Promise<{x: number, y: number}>} Viewport point to send input to
+   */
+  async waitForActionable(selector, { timeout = 30000 } = {}) {
+    const deadline = Date.now() + timeout;
+    const delays = [0, 20, 50, 100, 100, 500];
+
+    for (let attempt = 0; ; attempt++) {
+      const { point, reason } = await this._actionablePoint(selector);
+      if (point) {
+        return point;
+      }
+
+      // Sleep no further than the deadline, leaving one last check right at it
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new Error(`Timed out after ${timeout}ms waiting for "${selector}" to be actionable: ${reason}`);
+      }
+      const delay = delays[Math.min(attempt + 1, delays.length - 1)];
+      await new Promise(resolve => setTimeout(resolve, Math.min(delay, remaining)));
+    }
+  }
+
+  /**
+   * One actionability check
+   * @param {string} selector - CSS selector
+   * @returns {Promise<{point?: {x: number, y: number}, reason?: string}>} Click point, or why there is none yet
+   */
+  async _actionablePoint(selector) {
+    const objectId = await this.querySelector(selector);
+    if (!objectId) {
+      return { reason: 'element not found' };
+    }
+
+    try {
+      const issue = await this.callFunctionOn(objectId, actionabilityIssue);
+      if (issue) {
+        return { reason: issue };
+      }
+
+      let quads;
+      try {
+        await this.sendCommand('DOM.scrollIntoViewIfNeeded', { objectId });
+        ({ quads } = await this.sendCommand('DOM.getContentQuads', { objectId }));
+      } catch (error) {
+        // The element changed between the checks (removed, display: none); try again
+        return { reason: error.message };
+      }
+
+      const point = quadCenter(quads);
+      if (!point) {
+        return { reason: 'element is not visible' };
+      }
+
+      const covered = await this.callFunctionOn(objectId, hitTargetIssue, [point.x, point.y]);
+      return covered ? { reason: covered } : { point };
+    } finally {
+      this.releaseObject(objectId);
+    }
+  }
+
+  /**
+   * Navigate to a URL and wait for the new document to reach a lifecycle stage
+   * Follows redirects, including client-side ones that commit a new document in the main frame.
+   * @param {string} url - URL to navigate to
+   * @param {Object} [options] - Navigation options
+   * @param {string} [options.waitUntil] - load, domcontentloaded or networkidle (default: load)
+   * @param {number} [options.timeout] - Milliseconds to wait (default: 30000)
+   * @returns {Promise<{url: string, status: number|null, statusText: string|null, errorText: string|null}>} Final URL and HTTP status, or why the navigation failed
+   */
+  async navigate(url, { waitUntil = 'load', timeout = 30000 } = {}) {
+    const lifecycleEvent = LIFECYCLE_EVENTS[waitUntil];
+    if (!lifecycleEvent) {
+      throw new Error(`Unknown waitUntil "${waitUntil}" (use load, domcontentloaded or networkidle)`);
+    }
+
+    await Promise.all([this.enableDomain('Page'), this.enableDomain('Network')]);
+    const listeners = [];
+    const listen = (event, handler) => {
+      listeners.push([event, handler]);
+      this.on(event, handler);
+    };
+
+    try {
+      this.lifecycleNavigations++;
+      await this.sendCommand('Page.setLifecycleEventsEnabled', { enabled: true });
+      const { frameTree } = await this.sendCommand('Page.getFrameTree');
+      const frameId = frameTree.frame.id;
+
+      // Events can arrive before Page.navigate returns, so collect them from the start
+      const navigation = { loaderId: null, url: null, fired: new Map(), responses: new Map() };
+      let check = () => {};
+      listen('Page.lifecycleEvent', ({ frameId: id, loaderId, name }) => {
+        if (id === frameId) {
+          navigation.fired.set(loaderId, (navigation.fired.get(loaderId) ?? new Set()).add(name));
+          check();
+        }
+      });
+      listen('Page.frameNavigated', ({ frame }) => {
+        if (frame.id === frameId) {
+          navigation.loaderId = frame.loaderId;
+          navigation.url = frame.url;
+          check();
+        }
+      });
+      listen('Network.responseReceived', ({ frameId: id, loaderId, type, response }) => {
+        if (id === frameId && type === 'Document') {
+          navigation.responses.set(loaderId, response);
+        }
+      });
+
+      const { loaderId, errorText } = await this.sendCommand('Page.navigate', { url });
+      if (errorText) {
+        return { url, status: null, statusText: null, errorText };
+      }
+      // Same-document navigations (#hash, history API) have no loader and nothing to wait for
+      if (!loaderId) {
+        return { url: navigation.url ?? url, status: null, statusText: null, errorText: null };
+      }
+      navigation.loaderId ??= loaderId;
+
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          reject(new Error(`Timeout after ${timeout}ms waiting for ${url} to reach ${waitUntil}`));
+        }, timeout);
+        const onClose = () => {
+          clearTimeout(timer);
+          reject(new Error(`CDP connection closed while navigating to ${url}`));
+        };
+        listen('disconnected', onClose);
+        listen('detached', onClose);
+
+        check = () => {
+          if (navigation.fired.get(navigation.loaderId)?.has(lifecycleEvent)) {
+            clearTimeout(timer);
+            resolve();
+          }
+        };
+        check();
+      });
+
+      const response = navigation.responses.get(navigation.loaderId);
+      return {
+        url: navigation.url ?? response?.url ?? url,
+        status: response?.status ?? null,
+        statusText: response?.statusText || null,
+        errorText: null
+      };
+    } finally {
+      for (const [event, handler] of listeners) {
+        this.off(event, handler);
+      }
+      // Stop the lifecycle events once the last navigation in flight is done
+      if (--this.lifecycleNavigations === 0 && this.connected) {
+        await this.sendCommand('Page.setLifecycleEventsEnabled', { enabled: false }).catch(() => {});
+      }
+      await Promise.all([this.disableDomain('Page'), this.disableDomain('Network')]).catch(() => {});
+    }
+  }
+
+  /**
+   * Get page info
+   */
+  async getPageInfo() {
+    const [url, title] = await Promise.all([
+      this.sendCommand('Runtime.evaluate', { 
+        expression: 'window.location.href' 
+      }),
+      this.sendCommand('Runtime.evaluate', { 
+        expression: 'document.title' 
+      })
+    ]);
+    
+    return {
+      url: url.result.value,
+      title: title.result.value
+    };
+  }
+
+  /**
+   * Take a screenshot of the viewport, the full page, a region or an element
+   * @param {Object} [options] - Screenshot options
+   * @param {boolean} [options.fullPage] - Capture the whole scrollable page (default: false)
+   * @param {Object} [options.clip] - Region {x, y, width, height} in page CSS pixels
+   * @param {string} [options.selector] - CSS selector of an element to capture
+   * @param {string} [options.format] - png, jpeg or webp (default: png)
+   * @param {number} [options.quality] - Quality 0-100 for jpeg and webp (default: 80)
+   * @param {number} [options.scale] - Device scale factor of the image (default: 1)
+   * @returns {Promise<string>} Base64-encoded image
+   */
+  async screenshot({ fullPage = false, clip, selector, format = 'png', quality, scale = 1 } = {}) {
+    if (format === 'png' && quality !== undefined) {
+      throw new Error('quality is only supported for jpeg and webp screenshots');
+    }
+    if ([fullPage, clip, selector].filter(Boolean).length > 1) {
+      throw new Error('Use only one of fullPage, clip and selector');
+    }
+
+    let region = clip;
+    if (selector) {
+      region = await this.callFunction(elementBox, [selector]);
+    } else if (fullPage) {
+      const { cssContentSize, contentSize } = await this.sendCommand('Page.getLayoutMetrics');
+      const { width, height } = cssContentSize ?? contentSize;
+      region = { x: 0, y: 0, width: Math.ceil(width), height: Math.ceil(height) };
+    } else if (scale !== 1) {
+      // Scaling needs a clip, so clip to the visible viewport
+      const { cssLayoutViewport, layoutViewport } = await this.sendCommand('Page.getLayoutMetrics');
+      const { pageX, pageY, clientWidth, clientHeight } = cssLayoutViewport ?? layoutViewport;
+      region = { x: pageX, y: pageY, width: clientWidth, height: clientHeight };
+    }
+
+    const params = { format };
+    if (format !== 'png') {
+      params.quality = quality ?? 80;
+    }
+    if (region) {
+      params.clip = { ...region, scale };
+      // Regions below the fold are rendered instead of coming out blank
+      params.captureBeyondViewport = true;
+    }
+
+    const result = await this.sendCommand('Page.captureScreenshot', params);
+    return result.data;
+  }
+
+  /**
+   * Click an element once it is actionable (see waitForActionable)
+   * @param {string} selector - CSS selector
+   * @param {Object} [options] - Click options
+   * @param {number} [options.timeout] - Milliseconds to wait for the element (default: 30000)
+   * @returns {Promise<{x: number, y: number}>} Point that was clicked
+   */
+  async click(selector, { timeout } = {}) {
+    const { x, y } = await this.waitForActionable(selector, { timeout });
+    
+    // Click at the coordinates
+    await this.sendCommand('Input.dispatchMouseEvent', {
+      type: 'mousePressed',
+      x, y,
+      button: 'left',
+      clickCount: 1
+    });
+    
+    await this.sendCommand('Input.dispatchMouseEvent', {
+      type: 'mouseReleased',
+      x, y,
+      button: 'left',
+      clickCount: 1
+    });
+    return { x, y };
+  }
+
+  /**
+   * Move the mouse over an element once it is actionable
+   * @param {string} selector - CSS selector
+   * @param {Object} [options] - Hover options
+   * @param {number} [options.timeout] - Milliseconds to wait for the element (default: 30000)
+   * @returns {Promise<{x: number, y: number}>} Point the mouse moved to
+   */
+  async hover(selector, { timeout } = {}) {
+    const { x, y } = await this.waitForActionable(selector, { timeout });
+    await this.sendCommand('Input.dispatchMouseEvent', {
+      type: 'mouseMoved',
+      x, y
+    });
+    return { x, y };
+  }
+
+  /**
+   * Press a key down (US layout); modifiers stay held until keyUp
+   * @param {string} key - Key name, code or character (e.g. "Enter", "KeyA", "a", "Shift")
+   */
+  async keyDown(key) {
+    const name = resolveKeyAlias(key);
+    if (name in MODIFIER_BITS) {
+      this.pressedModifiers.add(name);
+    }
+
+    const modifiers = modifierMask(this.pressedModifiers);
+    const { key: eventKey, code, keyCode, text, location, commands } = describeKey(name, modifiers);
+    await this.sendCommand('Input.dispatchKeyEvent', {
+      // Keys without text (arrows, shortcuts) must be raw or the page sees a stray keypress
+      type: text ? 'keyDown' : 'rawKeyDown',
+      modifiers,
+      windowsVirtualKeyCode: keyCode,
+      code,
+      key: eventKey,
+      text,
+      unmodifiedText: text,
+      location,
+      isKeypad: location === 3,
+      autoRepeat: false,
+      commands
+    });
+  }
+
+  /**
+   * Release a key pressed with keyDown
+   * @param {string} key - Key name, code or character
+   */
+  async keyUp(key) {
+    const name = resolveKeyAlias(key);
+    this.pressedModifiers.delete(name);
+
+    const modifiers = modifierMask(this.pressedModifiers);
+    const { key: eventKey, code, keyCode, location } = describeKey(name, modifiers);
+    await this.sendCommand('Input.dispatchKeyEvent', {
+      type: 'keyUp',
+      modifiers,
+      windowsVirtualKeyCode: keyCode,
+      code,
+      key: eventKey,
+      location
+    });
+  }
+
+  /**
+   * Press a key or combo, e.g. "Enter", "ArrowDown", "Control+A", "Control+Shift+T", "ControlOrMeta+A"
+   * @param {string} combo - Key or "+"-joined combo
+   * @param {Object} [options] - Press options
+   * @param {number} [options.delay] - Milliseconds between keydown and keyup (default: 0)
+   */
+  async press(combo, { delay = 0 } = {}) {
+    const { modifiers, key } = parseKeyCombo(combo);
+
+    for (const modifier of modifiers) {
+      await this.keyDown(modifier);
+    }
+    await this.keyDown(key);
+    if (delay) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    await this.keyUp(key);
+    for (const modifier of [...modifiers].reverse()) {
+      await this.keyUp(modifier);
+    }
+  }
+
+  /**
+   * Insert text as if pasted or composed by an IME (no key events)
+   * @param {string} text - Text to insert
+   */
+  async insertText(text) {
+    await this.sendCommand('Input.insertText', { text });
+  }
+
+  /**
+   * Type text
+   * Characters on the US layout are pressed as keys; others (accents, emoji, CJK) are inserted
+   * @param {string} text - Text to type
+   * @param {Object} [options] - Typing options
+   * @param {number} [options.delay] - Milliseconds between characters (default: 0)
+   */
+  async type(text, { delay = 0 } = {}) {
+    for (const char of text) {
+      if (isKnownKey(char)) {
+        await this.keyDown(char);
+        await this.keyUp(char);
+      } else {
+        await this.insertText(char);
+      }
+      if (delay) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Replace the value of an input, textarea or contenteditable element
+   * @param {string} selector - CSS selector
+   * @param {string} value - New value
+   * @param {Object} [options] - Fill options
+   * @param {number} [options.timeout] - Milliseconds to wait for the element (default: 30000)
+   */
+  async fill(selector, value, { timeout } = {}) {
+    await this.waitForActionable(selector, { timeout });
+    await this.callFunction(focusAndSelect, [selector]);
+    if (value) {
+      await this.insertText(value);
+    } else {
+      await this.press('Delete');
+    }
+  }
+}
+
+/**
+ * A flattened session for one target (page, out-of-process iframe, worker, service worker)
+ * Commands travel over the owning DirectCDPClient's socket, tagged with the session id
+ * Emits 'detached' when the target goes away or the socket closes
+ */
+export class CDPSession extends CDPSessionBase {
+  /**
+   * @param {DirectCDPClient} client - Browser connection the session lives on
+   * @param {string} sessionId - CDP session id
+   * @param {Object} targetInfo - Target.TargetInfo of the attached target
+   * @param {CDPSession|null} [parent] - Session that auto-attached this one (for iframes and workers)
+   */
+  constructor(client, sessionId, targetInfo, parent = null) {
+    super();
+    this.client = client;
+    this.sessionId = sessionId;
+    this.targetInfo = targetInfo;
+    this.parent = parent;
+    this.children = new Set();
+    this.detached = false;
+  }
+
+  get targetId() {
+    return this.targetInfo.targetId;
+  }
+
+  get type() {
+    return this.targetInfo.type;
+  }
+
+  get connected() {
+    return this.client.connected && !this.detached;
+  }
+
+  /**
+   * Send a CDP command to this target
+   * @param {string} method - CDP method name
+   * @param {Object} params - Command parameters
+   * @returns {Promise} Command result
+   */
+  async sendCommand(method, params = {}) {
+    if (this.detached) {
+      throw new Error(`CDP session for ${this.type} ${this.targetId} is detached`);
+    }
+    return this.client.sendCommand(method, params, this.sessionId);
+  }
+
+  /**
+   * Detach from the target (the target itself keeps running)
+   */
+  async detach() {
+    if (!this.detached && this.client.connected) {
+      await this.client.sendCommand('Target.detachFromTarget', { sessionId: this.sessionId });
+    }
+  }
+}
 
 /**
  * Direct CDP (Chrome DevTools Protocol) client for controlling existing browser tabs
  * This bypasses Playwright's context isolation and directly controls visible browser windows
+ *
+ * Connect it to a page WebSocket to drive that page, or to the browser WebSocket
+ * (/json/version webSocketDebuggerUrl) and attach to targets: every target gets a
+ * flattened CDPSession on the same socket, and attached pages auto-attach their
+ * out-of-process iframes and workers as child sessions.
  */
-export class DirectCDPClient extends EventEmitter {
+export class DirectCDPClient extends CDPSessionBase {
   constructor() {
     super();
     this.ws = null;
     this.messageId = 0;
     this.pendingMessages = new Map();
     this.connected = false;
+    this.sessions = new Map();
+    this.targets = new Map();
+    this.attaching = new Map();
   }
 
   /**
-   * Connect to a specific page via its WebSocket URL
-   * @param {string} wsUrl - WebSocket URL for the page (e.g., ws://localhost:9222/devtools/page/ID)
+   * Connect to a page or browser via its WebSocket URL
+   * @param {string} wsUrl - WebSocket URL (e.g., ws://localhost:9222/devtools/page/ID or .../devtools/browser/ID)
+   * @param {Object} [options] - Connection options
+   * @param {Object} [options.headers] - Extra handshake headers (see devToolsHeaders)
    */
-  async connect(wsUrl) {
+  async connect(wsUrl, { headers = {} } = {}) {
     return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(wsUrl);
+      this.ws = new WebSocket(wsUrl, { headers });
       
       this.ws.on('open', () => {
         this.connected = true;
@@ -42,8 +748,10 @@ export class DirectCDPClient extends EventEmitter {
               resolve(message.result);
             }
           } else {
-            // Event message
-            this.emit('event', message);
+            // Event message, for the connection itself or one of its sessions
+            this._handleTargetEvent(message);
+            const session = message.sessionId ? this.sessions.get(message.sessionId) : this;
+            session?._dispatch(message);
           }
         } catch (error) {
           console.error('CDP message parse error:', error);
@@ -58,6 +766,17 @@ export class DirectCDPClient extends EventEmitter {
       this.ws.on('close', () => {
         this.connected = false;
         console.error('CDP WebSocket closed');
+        for (const { reject } of this.pendingMessages.values()) {
+          reject(new Error('CDP WebSocket closed'));
+        }
+        this.pendingMessages.clear();
+        // Enabled domains and sessions belong to the closed socket
+        this.domains.clear();
+        for (const session of [...this.sessions.values()]) {
+          this._dropSession(session);
+        }
+        this.targets.clear();
+        this.emit('disconnected');
       });
     });
   }
@@ -66,16 +785,17 @@ export class DirectCDPClient extends EventEmitter {
    * Send a CDP command
    * @param {string} method - CDP method name
    * @param {Object} params - Command parameters
+   * @param {string} [sessionId] - Flattened session to send the command to (default: the connection itself)
    * @returns {Promise} Command result
    */
-  async sendCommand(method, params = {}) {
+  async sendCommand(method, params = {}, sessionId) {
     if (!this.connected) {
       throw new Error('CDP client not connected');
     }
     
     return new Promise((resolve, reject) => {
       const id = ++this.messageId;
-      const message = { id, method, params };
+      const message = sessionId ? { id, method, params, sessionId } : { id, method, params };
       
       this.pendingMessages.set(id, { resolve, reject });
       
@@ -97,93 +817,135 @@ export class DirectCDPClient extends EventEmitter {
   }
 
   /**
-   * Navigate to a URL
-   * @param {string} url - URL to navigate to
+   * Track targets as they are created, changed and destroyed (browser connections only)
    */
-  async navigate(url) {
-    return await this.sendCommand('Page.navigate', { url });
+  async startTargetDiscovery() {
+    const { targetInfos } = await this.sendCommand('Target.getTargets');
+    for (const targetInfo of targetInfos) {
+      this.targets.set(targetInfo.targetId, targetInfo);
+    }
+    await this.sendCommand('Target.setDiscoverTargets', { discover: true });
   }
 
   /**
-   * Get page info
+   * Targets known from discovery
+   * @param {string} [type] - Only targets of this type ('page', 'iframe', 'worker', 'service_worker', ...)
+   * @returns {Array<Object>} Target.TargetInfo objects
    */
-  async getPageInfo() {
-    const [url, title] = await Promise.all([
-      this.sendCommand('Runtime.evaluate', { 
-        expression: 'window.location.href' 
-      }),
-      this.sendCommand('Runtime.evaluate', { 
-        expression: 'document.title' 
-      })
-    ]);
-    
-    return {
-      url: url.result.value,
-      title: title.result.value
-    };
+  getTargets(type) {
+    const targets = [...this.targets.values()];
+    return type ? targets.filter(target => target.type === type) : targets;
   }
 
   /**
-   * Take a screenshot
+   * Get the session of an attached target
+   * @param {string} targetId - Target id
+   * @returns {CDPSession|null} Session, or null if the target is not attached
    */
-  async screenshot() {
-    const result = await this.sendCommand('Page.captureScreenshot', {
-      format: 'png',
-      quality: 80
-    });
-    return result.data;
+  sessionForTarget(targetId) {
+    return [...this.sessions.values()].find(session => session.targetId === targetId) ?? null;
   }
 
   /**
-   * Click an element
-   * @param {string} selector - CSS selector
+   * Attach to a target with a flattened session, reusing an existing session
+   * Pages auto-attach their out-of-process iframes and workers as child sessions
+   * @param {string} targetId - Target id (page ids are the ids of /json/list)
+   * @returns {Promise<CDPSession>} Session for the target
    */
-  async click(selector) {
-    // First, find the element
-    const result = await this.sendCommand('Runtime.evaluate', {
-      expression: `
-        const element = document.querySelector('${selector}');
-        if (!element) throw new Error('Element not found: ${selector}');
-        const rect = element.getBoundingClientRect();
-        ({ x: rect.left + rect.width/2, y: rect.top + rect.height/2 });
-      `
-    });
-    
-    if (result.exceptionDetails) {
-      throw new Error(result.exceptionDetails.exception.description);
+  async attachToTarget(targetId) {
+    const existing = this.sessionForTarget(targetId);
+    if (existing) {
+      return existing;
     }
-    
-    const { x, y } = result.result.value;
-    
-    // Click at the coordinates
-    await this.sendCommand('Input.dispatchMouseEvent', {
-      type: 'mousePressed',
-      x, y,
-      button: 'left',
-      clickCount: 1
-    });
-    
-    await this.sendCommand('Input.dispatchMouseEvent', {
-      type: 'mouseReleased',
-      x, y,
-      button: 'left',
-      clickCount: 1
-    });
+
+    if (!this.attaching.has(targetId)) {
+      const attach = (async () => {
+        const { sessionId } = await this.sendCommand('Target.attachToTarget', { targetId, flatten: true });
+        // Target.attachedToTarget usually arrives before the response and creates the session
+        const session = this.sessions.get(sessionId)
+          ?? this._addSession(sessionId, this.targets.get(targetId) ?? { targetId, type: 'page' }, null);
+        await this._autoAttachChildren(session);
+        return session;
+      })().finally(() => this.attaching.delete(targetId));
+      this.attaching.set(targetId, attach);
+    }
+    return this.attaching.get(targetId);
   }
 
   /**
-   * Type text
-   * @param {string} text - Text to type
+   * Auto-attach a session's out-of-process iframes and workers
+   * @param {CDPSession} session - Page or iframe session
    */
-  async type(text) {
-    for (const char of text) {
-      await this.sendCommand('Input.dispatchKeyEvent', {
-        type: 'char',
-        text: char
+  async _autoAttachChildren(session) {
+    if (session.type === 'page' || session.type === 'iframe') {
+      await session.sendCommand('Target.setAutoAttach', {
+        autoAttach: true,
+        waitForDebuggerOnStart: false,
+        flatten: true
       });
     }
   }
 
+  /**
+   * Register a new flattened session
+   * @param {string} sessionId - CDP session id
+   * @param {Object} targetInfo - Target.TargetInfo
+   * @param {CDPSession|null} parent - Parent session
+   * @returns {CDPSession} The session
+   */
+  _addSession(sessionId, targetInfo, parent) {
+    const session = new CDPSession(this, sessionId, targetInfo, parent);
+    this.sessions.set(sessionId, session);
+    parent?.children.add(session);
+    this.emit('sessionattached', session);
+    return session;
+  }
+
+  /**
+   * Forget a session and its children and tell their listeners
+   * @param {CDPSession} session - Detached session
+   */
+  _dropSession(session) {
+    for (const child of [...session.children]) {
+      this._dropSession(child);
+    }
+    this.sessions.delete(session.sessionId);
+    session.parent?.children.delete(session);
+    session.detached = true;
+    session.domains.clear();
+    session.emit('detached');
+  }
+
+  /**
+   * Keep targets and sessions in sync with Target domain events
+   * @param {Object} message - CDP event message
+   */
+  _handleTargetEvent(message) {
+    const { method, params = {} } = message;
+
+    if (method === 'Target.targetCreated' || method === 'Target.targetInfoChanged') {
+      this.targets.set(params.targetInfo.targetId, params.targetInfo);
+      const session = this.sessionForTarget(params.targetInfo.targetId);
+      if (session) {
+        session.targetInfo = params.targetInfo;
+      }
+    } else if (method === 'Target.targetDestroyed') {
+      this.targets.delete(params.targetId);
+    } else if (method === 'Target.attachedToTarget' && !this.sessions.has(params.sessionId)) {
+      const parent = message.sessionId ? this.sessions.get(message.sessionId) ?? null : null;
+      const session = this._addSession(params.sessionId, params.targetInfo, parent);
+      if (parent) {
+        // Nested out-of-process iframes attach through their parent iframe
+        this._autoAttachChildren(session).catch(() => {});
+      }
+    } else if (method === 'Target.detachedFromTarget') {
+      const session = this.sessions.get(params.sessionId);
+      if (session) {
+        this._dropSession(session);
+      }
+    }
+  }
+
   /**
    * Close the connection
    */
@@ -196,80 +958,36 @@ export class DirectCDPClient extends EventEmitter {
 }
 
 /**
- * Get available pages from Chrome
- * @param {number} port - Debug port (default: 9222)
+ * Get available pages from the browser
+ * @param {Object} [connection] - Connection descriptor (default: localhost:9222)
  * @returns {Promise<Array>} List of available pages
  */
-export async function getAvailablePages(port = 9222) {
-  const http = await import('http');
-  
-  return new Promise((resolve, reject) => {
-    const req = http.default.get(`http://localhost:${port}/json`, { timeout: 5000 }, (res) => {
-      if (res.statusCode === 200) {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            const pages = JSON.parse(data).filter(p => p.type === 'page');
-            resolve(pages);
-          } catch (parseError) {
-            reject(parseError);
-          }
-        });
-      } else {
-        reject(new Error(`HTTP ${res.statusCode}`));
-      }
-    });
-    
-    req.on('error', reject);
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-  });
+export async function getAvailablePages(connection = createConnection()) {
+  const targets = await listTargets(connection);
+  return targets.filter(p => p.type === 'page');
 }
 
 /**
  * Create a new tab in the existing browser
- * @param {number} port - Debug port (default: 9222)
+ * @param {Object} [connection] - Connection descriptor (default: localhost:9222)
  * @param {string} url - URL to open (optional)
  * @returns {Promise<Object>} New tab info
  */
-export async function createNewTab(port = 9222, url = 'about:blank') {
-  const http = await import('http');
-  
-  return new Promise((resolve, reject) => {
-    const postData = JSON.stringify({ url });
-    const options = {
-      hostname: 'localhost',
-      port: port,
-      path: '/json/new',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    };
-    
-    const req = http.default.request(options, (res) => {
-      if (res.statusCode === 200) {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            const tabInfo = JSON.parse(data);
-            resolve(tabInfo);
-          } catch (parseError) {
-            reject(parseError);
-          }
-        });
-      } else {
-        reject(new Error(`HTTP ${res.statusCode}`));
-      }
-    });
-    
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
+export async function createNewTab(connection = createConnection(), url = 'about:blank') {
+  return await requestDevTools(connection, `/json/new?${encodeURIComponent(url)}`, { method: 'PUT' });
+}
+
+/**
+ * Bring a tab to the foreground
+ * @param {Object} connection - Connection descriptor
+ * @param {string} tabId - Target ID of the tab
+ * @returns {Promise<boolean>} True if the browser activated the tab
+ */
+export async function activateTab(connection, tabId) {
+  try {
+    await requestDevTools(connection, `/json/activate/${tabId}`);
+    return true;
+  } catch {
+    return false;
+  }
 }
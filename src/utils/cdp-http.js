@@ -0,0 +1,193 @@
+import http from 'http';
+import net from 'net';
+
+/**
+ * Helpers for the DevTools HTTP endpoints (/json/version, /json, /json/new, ...)
+ * Every call takes a connection descriptor so custom ports and hosts are honored
+ */
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '0.0.0.0', '[::1]', '::1']);
+
+/**
+ * Default DevTools host: ANY_BROWSER_HOST if set, otherwise localhost
+ * @returns {string} Host name
+ */
+export function defaultHost() {
+  return process.env.ANY_BROWSER_HOST || 'localhost';
+}
+
+/**
+ * Check whether a host name refers to the local machine
+ * @param {string} host - Host name
+ * @returns {boolean} True for loopback hosts
+ */
+export function isLoopbackHost(host) {
+  return LOOPBACK_HOSTS.has(host);
+}
+
+/**
+ * Create a connection descriptor for a DevTools endpoint
+ * @param {Object} [options] - Descriptor fields
+ * @param {string} [options.host] - Host serving the DevTools endpoints (default: ANY_BROWSER_HOST or localhost)
+ * @param {number} [options.port] - Debugging port (default: 9222)
+ * @param {string} [options.wsEndpoint] - Browser WebSocket URL, once known
+ * @param {string} [options.brand] - Browser brand ('chrome', 'edge', 'firefox')
+ * @param {string} [options.protocol] - Automation protocol ('cdp' or 'webdriver-bidi')
+ * @param {string} [options.userDataDir] - User-data-dir whose DevToolsActivePort file named the port
+ * @param {string} [options.endpoint] - Explicit endpoint the connection was made through (--endpoint)
+ * @returns {Object} Connection descriptor ({ host, port, wsEndpoint, brand, protocol, userDataDir, endpoint })
+ */
+export function createConnection({ host = defaultHost(), port = 9222, wsEndpoint = null, brand = 'chrome', protocol = 'cdp', userDataDir = null, endpoint = null } = {}) {
+  return { host, port, wsEndpoint, brand, protocol, userDataDir, endpoint };
+}
+
+/**
+ * Create a connection descriptor from an explicit ws:// or http:// endpoint
+ * @param {string} endpoint - Endpoint URL
+ * @param {string} [brand] - Browser brand
+ * @returns {Object} Connection descriptor
+ */
+export function connectionFromEndpoint(endpoint, brand = 'chrome') {
+  const url = new URL(endpoint);
+  const secure = url.protocol === 'wss:' || url.protocol === 'https:';
+  const bidi = brand === 'firefox' || url.pathname === '/session';
+
+  return createConnection({
+    host: url.hostname,
+    port: Number(url.port) || (secure ? 443 : 80),
+    wsEndpoint: url.protocol.startsWith('ws') ? endpoint : null,
+    brand: bidi ? 'firefox' : brand,
+    protocol: bidi ? 'webdriver-bidi' : 'cdp',
+    endpoint
+  });
+}
+
+/**
+ * Extra headers for DevTools requests to a connection
+ * Chrome rejects DevTools requests whose Host header is neither an IP address nor
+ * localhost, so remote host names are presented as localhost
+ * @param {Object} connection - Connection descriptor
+ * @returns {Object} Headers to send with HTTP and WebSocket requests
+ */
+export function devToolsHeaders(connection) {
+  if (isLoopbackHost(connection.host) || net.isIP(connection.host)) {
+    return {};
+  }
+  return { Host: `localhost:${connection.port}` };
+}
+
+/**
+ * Point a WebSocket URL reported by the browser at the host we actually reached
+ * Browsers behind SSH tunnels or container port mappings report 127.0.0.1 and
+ * their internal port, which is unreachable from here
+ * @param {string} wsUrl - WebSocket URL from /json/version or /json
+ * @param {Object} connection - Connection descriptor used for discovery
+ * @returns {string} WebSocket URL reachable through the connection
+ */
+export function rewriteWebSocketUrl(wsUrl, connection) {
+  if (!wsUrl) {
+    return wsUrl;
+  }
+
+  const url = new URL(wsUrl);
+  if (!isLoopbackHost(url.hostname)) {
+    return wsUrl;
+  }
+  if (isLoopbackHost(connection.host) && url.port === String(connection.port)) {
+    return wsUrl;
+  }
+
+  url.hostname = connection.host;
+  url.port = String(connection.port);
+  return url.toString();
+}
+
+/**
+ * Guess the browser brand from a /json/version payload
+ * @param {Object} versionInfo - Parsed /json/version response
+ * @returns {string} Browser brand
+ */
+export function detectBrand(versionInfo) {
+  const product = `${versionInfo?.Browser || ''} ${versionInfo?.['User-Agent'] || ''}`;
+  if (/Edg\//.test(product)) {
+    return 'edge';
+  }
+  if (/Firefox/.test(product)) {
+    return 'firefox';
+  }
+  return 'chrome';
+}
+
+/**
+ * Send a request to a DevTools HTTP endpoint
+ * @param {Object} connection - Connection descriptor
+ * @param {string} path - Request path (e.g., /json/version)
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method] - HTTP method (default: GET)
+ * @param {number} [options.timeout] - Timeout in milliseconds (default: 5000)
+ * @returns {Promise<*>} Parsed JSON body, or the raw text for non-JSON responses
+ */
+export function requestDevTools(connection, path, { method = 'GET', timeout = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: connection.host,
+      port: connection.port,
+      path,
+      method,
+      headers: devToolsHeaders(connection),
+      timeout
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`HTTP ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch {
+          resolve(data);
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+    req.end();
+  });
+}
+
+/**
+ * Get browser version info (including the browser WebSocket URL)
+ * @param {Object} connection - Connection descriptor
+ * @param {number} [timeout] - Timeout in milliseconds
+ * @returns {Promise<Object>} Parsed /json/version response
+ */
+export async function getVersionInfo(connection, timeout = 5000) {
+  const versionInfo = await requestDevTools(connection, '/json/version', { timeout });
+  if (typeof versionInfo !== 'object' || versionInfo === null) {
+    throw new Error('Failed to parse version info');
+  }
+  versionInfo.webSocketDebuggerUrl = rewriteWebSocketUrl(versionInfo.webSocketDebuggerUrl, connection);
+  return versionInfo;
+}
+
+/**
+ * List all debuggable targets
+ * @param {Object} connection - Connection descriptor
+ * @returns {Promise<Array>} Targets reported by /json
+ */
+export async function listTargets(connection) {
+  const targets = await requestDevTools(connection, '/json');
+  if (!Array.isArray(targets)) {
+    throw new Error('Failed to parse target list');
+  }
+  for (const target of targets) {
+    target.webSocketDebuggerUrl = rewriteWebSocketUrl(target.webSocketDebuggerUrl, connection);
+  }
+  return targets;
+}
@@ -0,0 +1,257 @@
+import { z } from 'zod';
+
+/**
+ * Console output and uncaught page errors, kept per page in ring buffers
+ * Playwright pages are recorded through page.on('console' | 'pageerror'), CDP
+ * sessions of the direct server through Runtime.consoleAPICalled and
+ * Runtime.exceptionThrown (which also reports unhandled promise rejections).
+ * Every entry gets an increasing id, so a reader can pass the last cursor as
+ * `since` and only see what was logged after it.
+ */
+
+/**
+ * Entries kept per page before the oldest are dropped
+ */
+export const MAX_CONSOLE_ENTRIES = 1000;
+
+/**
+ * Longer messages are cut to this many characters
+ */
+const MAX_TEXT_LENGTH = 10000;
+
+/**
+ * Severity levels from least to most severe
+ */
+const LEVELS = ['debug', 'info', 'warning', 'error'];
+
+/**
+ * Zod schemas for the arguments of browser_get_console_logs
+ */
+export const consoleLogArguments = {
+  level: z.enum(LEVELS).optional().describe('Minimum severity to return: debug, info (includes log), warning or error (includes uncaught exceptions)'),
+  text: z.string().optional().describe('Only return entries whose text contains this string (case-insensitive)'),
+  since: z.number().int().optional().describe('Only return entries after this cursor (the cursor of a previous call)'),
+  limit: z.number().int().positive().optional().describe('Maximum number of entries, the most recent ones are kept (default: 100)'),
+  clear: z.boolean().optional().describe('Empty the buffer after reading (default: false)')
+};
+
+/**
+ * Severity level of a console message type
+ * @param {string} type - Console API type ('log', 'warning', 'assert', ...) or 'pageerror'
+ * @returns {string} One of LEVELS
+ */
+function levelOf(type) {
+  if (type === 'error' || type === 'assert' || type === 'pageerror') {
+    return 'error';
+  }
+  if (type === 'warning' || type === 'debug') {
+    return type;
+  }
+  return 'info';
+}
+
+/**
+ * Ring buffer of console entries for one page
+ */
+export class ConsoleBuffer {
+  /**
+   * @param {number} [capacity] - Entries kept before the oldest are dropped (default: MAX_CONSOLE_ENTRIES)
+   */
+  constructor(capacity = MAX_CONSOLE_ENTRIES) {
+    this.capacity = capacity;
+    this.entries = [];
+    this.lastId = 0;
+    // Id ranges [first, last] of entries pushed out by the capacity limit (not those cleared)
+    this.evicted = [];
+  }
+
+  /**
+   * Record an entry
+   * @param {Object} entry - Entry ({ type, text, location?, stack?, timestamp? })
+   */
+  push({ type, text, location, stack, timestamp = Date.now() }) {
+    this.entries.push({
+      id: ++this.lastId,
+      timestamp: new Date(timestamp).toISOString(),
+      level: levelOf(type),
+      type,
+      text: text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH)}…` : text,
+      ...(location?.url && { location }),
+      ...(stack && { stack })
+    });
+    if (this.entries.length > this.capacity) {
+      const { id } = this.entries.shift();
+      const last = this.evicted[this.evicted.length - 1];
+      if (last && last[1] === id - 1) {
+        last[1] = id;
+      } else {
+        this.evicted.push([id, id]);
+      }
+    }
+  }
+
+  /**
+   * Read entries, optionally filtered and cleared
+   * @param {Object} [options] - Read options (see consoleLogArguments)
+   * @param {string} [options.level] - Minimum severity
+   * @param {string} [options.text] - Case-insensitive substring of the text
+   * @param {number} [options.since] - Cursor of a previous read
+   * @param {number} [options.limit] - Maximum number of entries (default: 100)
+   * @param {boolean} [options.clear] - Empty the buffer afterwards
+   * @returns {{entries: Array<Object>, cursor: number, omitted: number, dropped: number}} Matching entries, the cursor
+   *   to pass as `since` next time, matches left out by the limit and entries lost to the ring buffer since the cursor
+   */
+  read({ level, text, since = 0, limit = 100, clear = false } = {}) {
+    const minimum = level ? LEVELS.indexOf(level) : 0;
+    const needle = text?.toLowerCase();
+    const matches = this.entries.filter(entry =>
+      entry.id > since &&
+      LEVELS.indexOf(entry.level) >= minimum &&
+      (!needle || entry.text.toLowerCase().includes(needle)));
+
+    const dropped = since > 0
+      ? this.evicted.reduce((count, [first, last]) => count + Math.max(0, last - Math.max(first, since + 1) + 1), 0)
+      : 0;
+    const result = {
+      entries: matches.slice(-limit),
+      cursor: this.lastId,
+      omitted: Math.max(0, matches.length - limit),
+      dropped
+    };
+
+    if (clear) {
+      this.entries = [];
+    }
+    return result;
+  }
+}
+
+/**
+ * Buffers of Playwright pages
+ */
+const pageBuffers = new WeakMap();
+
+/**
+ * Contexts whose pages are recorded
+ */
+const watchedContexts = new WeakSet();
+
+/**
+ * Console buffer of a Playwright page, recording from the first call on
+ * @param {Page} page - Playwright page
+ * @returns {ConsoleBuffer} Buffer of the page
+ */
+export function pageConsoleBuffer(page) {
+  let buffer = pageBuffers.get(page);
+  if (buffer) {
+    return buffer;
+  }
+
+  buffer = new ConsoleBuffer();
+  pageBuffers.set(page, buffer);
+  page.on('console', message => buffer.push({
+    type: message.type(),
+    text: message.text(),
+    location: message.location()
+  }));
+  page.on('pageerror', error => buffer.push({
+    type: 'pageerror',
+    text: error.message,
+    stack: error.stack
+  }));
+  return buffer;
+}
+
+/**
+ * Record the console of every current and future page of a browser context
+ * @param {BrowserContext} context - Playwright browser context
+ */
+export function watchContextConsole(context) {
+  if (watchedContexts.has(context)) {
+    return;
+  }
+
+  watchedContexts.add(context);
+  context.pages().forEach(pageConsoleBuffer);
+  context.on('page', pageConsoleBuffer);
+}
+
+/**
+ * Text of a console argument (a Runtime.RemoteObject)
+ * @param {Object} arg - Remote object
+ * @returns {string} Primitive value, or the object's description
+ */
+function remoteObjectText(arg) {
+  if (arg.unserializableValue !== undefined) {
+    return arg.unserializableValue;
+  }
+  if (arg.type === 'string') {
+    return arg.value;
+  }
+  if (arg.type === 'undefined') {
+    return 'undefined';
+  }
+  if (arg.value !== undefined && arg.type !== 'object') {
+    return String(arg.value);
+  }
+  return arg.description ?? (arg.value === null ? 'null' : arg.type);
+}
+
+/**
+ * Location of the top stack frame of a Runtime.StackTrace
+ * @param {Object} [stackTrace] - Stack trace
+ * @returns {Object|undefined} Location ({ url, lineNumber, columnNumber })
+ */
+function topFrameLocation(stackTrace) {
+  const frame = stackTrace?.callFrames?.[0];
+  return frame && { url: frame.url, lineNumber: frame.lineNumber, columnNumber: frame.columnNumber };
+}
+
+/**
+ * Buffers of CDP sessions, resolved once the Runtime domain is enabled
+ */
+const sessionBuffers = new WeakMap();
+
+/**
+ * Console buffer of a CDP session, recording from the first call on
+ * Enabling Runtime also replays the messages the page logged before we attached.
+ * @param {CDPSession} session - Page (or worker) session
+ * @returns {Promise<ConsoleBuffer>} Buffer of the session
+ */
+export function sessionConsoleBuffer(session) {
+  if (sessionBuffers.has(session)) {
+    return sessionBuffers.get(session);
+  }
+
+  const buffer = new ConsoleBuffer();
+  const onConsole = ({ type, args = [], timestamp, stackTrace }) => buffer.push({
+    type,
+    text: args.map(remoteObjectText).join(' '),
+    location: topFrameLocation(stackTrace),
+    timestamp
+  });
+  const onException = ({ timestamp, exceptionDetails }) => {
+    const { text, exception, url, lineNumber, columnNumber, stackTrace } = exceptionDetails;
+    // description is "Error: boom\n    at ...", text is "Uncaught" or "Uncaught (in promise)"
+    const [summary, ...frames] = (exception?.description ?? '').split('\n');
+    buffer.push({
+      type: 'pageerror',
+      text: [text, summary || (exception && remoteObjectText(exception))].filter(Boolean).join(' '),
+      location: url ? { url, lineNumber, columnNumber } : topFrameLocation(stackTrace),
+      stack: frames.length > 0 ? exception.description : undefined,
+      timestamp
+    });
+  };
+  session.on('Runtime.consoleAPICalled', onConsole);
+  session.on('Runtime.exceptionThrown', onException);
+
+  const ready = session.enableDomain('Runtime').then(() => buffer, error => {
+    // Try again on the next call
+    session.off('Runtime.consoleAPICalled', onConsole);
+    session.off('Runtime.exceptionThrown', onException);
+    sessionBuffers.delete(session);
+    throw error;
+  });
+  sessionBuffers.set(session, ready);
+  return ready;
+}
@@ -0,0 +1,256 @@
+import WebSocket from 'ws';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { createConnection, defaultHost, devToolsHeaders, getVersionInfo, isLoopbackHost } from './cdp-http.js';
+import { bidiEndpoint } from './bidi-firefox.js';
+import { discoverBrowsers } from './discovery.js';
+
+const execAsync = promisify(exec);
+
+/**
+ * Connection probing shared by attach and the diagnostics tool
+ * Each probe yields a structured attempt record (see attemptRecord)
+ */
+
+/**
+ * Check if a browser process is running with debugging enabled
+ * @param {string} browserName - Browser name to check
+ * @param {number} port - Expected debugging port
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<boolean>} True if browser with debugging is running
+ */
+export async function isBrowserRunningWithDebugging(browserName, port, verbose = false) {
+  try {
+    const platform = process.platform;
+    let command;
+
+    if (platform === 'win32') {
+      // Windows: Check for Chrome/Edge/Firefox processes with debugging port
+      command = `tasklist /FI "IMAGENAME eq chrome.exe" /FO CSV | findstr chrome.exe || tasklist /FI "IMAGENAME eq msedge.exe" /FO CSV | findstr msedge.exe || tasklist /FI "IMAGENAME eq firefox.exe" /FO CSV | findstr firefox.exe`;
+    } else if (platform === 'darwin') {
+      // macOS: Check for Chrome/Edge/Firefox processes with debugging port
+      command = `ps aux | grep -E "(Google Chrome|Microsoft Edge|chrome|edge|firefox)" | grep -E "(remote-debugging-port=${port}|remote-debugging-port.*${port})" | grep -v grep`;
+    } else {
+      // Linux: Check for Chrome/Edge/Firefox processes with debugging port
+      command = `ps aux | grep -E "(chrome|chromium|edge|firefox)" | grep -E "(remote-debugging-port=${port}|remote-debugging-port.*${port})" | grep -v grep`;
+    }
+
+    const { stdout } = await execAsync(command);
+    const hasProcess = stdout.trim().length > 0;
+
+    if (verbose) {
+      console.error(`🔍 Browser process check for ${browserName} on port ${port}: ${hasProcess ? 'Found' : 'Not found'}`);
+      if (hasProcess && verbose) {
+        console.error(`   Process details: ${stdout.trim().split('\n')[0]}`);
+      }
+    }
+
+    return hasProcess;
+  } catch (error) {
+    if (verbose) {
+      console.error(`⚠️  Process check failed for ${browserName}: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+/**
+ * Fetch /json/version from a debugging port
+ * @param {Object} connection - Connection descriptor to probe
+ * @param {boolean} verbose - Enable verbose logging
+ * @returns {Promise<{versionInfo: Object|null, error: string|null}>} Version payload, or the failure reason
+ */
+export async function probeVersionInfo(connection, verbose = false) {
+  try {
+    const versionInfo = await getVersionInfo(connection, 2000);
+    if (verbose) {
+      console.error(`✅ Port ${connection.port} accessible - Browser: ${versionInfo.Browser || 'Unknown'}`);
+    }
+    return { versionInfo, error: null };
+  } catch (error) {
+    if (verbose) {
+      console.error(`❌ Port ${connection.port} not accessible: ${error.message}`);
+    }
+    return { versionInfo: null, error: error.message };
+  }
+}
+
+/**
+ * Build a structured record of one connection attempt
+ * @param {Object} connection - Connection descriptor that was tried
+ * @param {string} source - How the port was chosen ('endpoint', 'custom-port', 'DevToolsActivePort', 'port-scan', 'default-port')
+ * @param {Object} [fields] - Probe results (processFound, portReachable, versionInfo, webSocketError, error)
+ * @returns {Object} Attempt record
+ */
+export function attemptRecord(connection, source, fields = {}) {
+  return {
+    brand: connection.brand,
+    protocol: connection.protocol,
+    host: connection.host,
+    port: connection.port,
+    source,
+    processFound: null,
+    portReachable: null,
+    versionInfo: null,
+    protocolVersion: fields.versionInfo?.['Protocol-Version'] ?? null,
+    webSocketError: null,
+    error: null,
+    ...fields
+  };
+}
+
+/**
+ * Open a WebSocket, send one command and wait for its response
+ * @param {string} wsUrl - WebSocket URL
+ * @param {Object} headers - Handshake headers
+ * @param {Object} command - Command to send ({ method, params })
+ * @param {number} [timeout] - Timeout in milliseconds (default: 3000)
+ * @returns {Promise<{result: Object|null, error: string|null}>} Command result, or the failure reason
+ */
+function testWebSocket(wsUrl, headers, command, timeout = 3000) {
+  return new Promise((resolve) => {
+    const ws = new WebSocket(wsUrl, { headers });
+    const finish = (outcome) => {
+      clearTimeout(timer);
+      ws.removeAllListeners();
+      ws.on('error', () => {});
+      ws.terminate();
+      resolve(outcome);
+    };
+    const timer = setTimeout(() => finish({ result: null, error: `No response within ${timeout}ms` }), timeout);
+
+    ws.on('open', () => ws.send(JSON.stringify({ id: 1, params: {}, ...command })));
+    ws.on('message', (data) => {
+      try {
+        const message = JSON.parse(data.toString());
+        if (message.id !== 1) {
+          return;
+        }
+        finish(message.error
+          ? { result: null, error: message.error.message || String(message.error) }
+          : { result: message.result, error: null });
+      } catch (error) {
+        finish({ result: null, error: error.message });
+      }
+    });
+    ws.on('unexpected-response', (req, res) => finish({ result: null, error: `Handshake rejected with HTTP ${res.statusCode}` }));
+    ws.on('error', (error) => finish({ result: null, error: error.message }));
+  });
+}
+
+/**
+ * Suggest a fix for a failed attempt
+ * @param {Object} attempt - Attempt record
+ * @returns {string|null} Hint, or null when the attempt succeeded
+ */
+function hintFor(attempt) {
+  if (attempt.portReachable && !attempt.webSocketError && !attempt.error) {
+    return null;
+  }
+  if (attempt.webSocketError && /HTTP 403|origin/i.test(attempt.webSocketError)) {
+    return 'The browser rejected the WebSocket handshake; start it with --remote-allow-origins=* or connect through localhost';
+  }
+  if (attempt.portReachable) {
+    return 'The port answers but the WebSocket connection failed; check proxies or port forwarding for WebSocket support';
+  }
+  if (attempt.processFound) {
+    return `A browser process uses --remote-debugging-port=${attempt.port} but the port does not answer; another instance may own the profile, or a firewall blocks it`;
+  }
+  if (attempt.source === 'DevToolsActivePort') {
+    return 'The DevToolsActivePort file is left over from a browser that is no longer running';
+  }
+  return `Start the browser with --remote-debugging-port=${attempt.port}${isLoopbackHost(attempt.host) ? '' : ' and forward the port to this machine'}`;
+}
+
+/**
+ * Probe a single endpoint end to end without attaching to it
+ * @param {Object} connection - Connection descriptor to probe
+ * @param {string} source - How the port was chosen
+ * @returns {Promise<Object>} Attempt record with a hint
+ */
+async function probeEndpoint(connection, source) {
+  const processFound = isLoopbackHost(connection.host)
+    ? await isBrowserRunningWithDebugging(connection.brand, connection.port)
+    : null;
+  const headers = devToolsHeaders(connection);
+
+  if (connection.protocol === 'webdriver-bidi') {
+    const { result, error } = await testWebSocket(bidiEndpoint(connection), headers, { method: 'session.status' });
+    const attempt = attemptRecord(connection, source, {
+      processFound,
+      portReachable: !!result,
+      protocolVersion: result ? 'WebDriver BiDi' : null,
+      versionInfo: result,
+      webSocketError: error,
+      error
+    });
+    return { ...attempt, hint: hintFor(attempt) };
+  }
+
+  let versionInfo = null;
+  try {
+    versionInfo = await getVersionInfo(connection, 2000);
+  } catch (error) {
+    const attempt = attemptRecord(connection, source, { processFound, portReachable: false, error: error.message });
+    return { ...attempt, hint: hintFor(attempt) };
+  }
+
+  const { result, error } = await testWebSocket(versionInfo.webSocketDebuggerUrl, headers, { method: 'Browser.getVersion' });
+  const attempt = attemptRecord(connection, source, {
+    processFound,
+    portReachable: true,
+    versionInfo,
+    protocolVersion: result?.protocolVersion ?? versionInfo['Protocol-Version'] ?? null,
+    webSocketError: error,
+    error
+  });
+  return { ...attempt, hint: hintFor(attempt) };
+}
+
+/**
+ * Probe every place a browser could be listening and report why each does or does not work
+ * Nothing is attached; this only reads /json/version and opens a short-lived WebSocket
+ * @param {Object} [options] - Diagnosis options
+ * @param {string} [options.host] - DevTools host (default: ANY_BROWSER_HOST or localhost)
+ * @param {string} [options.brand] - Brand to check ('detect', 'chrome', 'edge', 'firefox')
+ * @param {number} [options.customPort] - Only probe this port
+ * @param {string} [options.scanPorts] - Port range to scan in addition to the default ports
+ * @returns {Promise<Object>} { timestamp, host, attempts } with one attempt record per endpoint
+ */
+export async function diagnoseConnection({ host = defaultHost(), brand = 'detect', customPort, scanPorts } = {}) {
+  const defaultPorts = { chrome: 9222, edge: 9223, firefox: 9224 };
+  const targets = [];
+
+  if (customPort) {
+    const protocol = brand === 'firefox' ? 'webdriver-bidi' : 'cdp';
+    targets.push({ connection: createConnection({ host, port: customPort, brand: brand === 'detect' ? 'chrome' : brand, protocol }), source: 'custom-port' });
+  } else {
+    if (brand !== 'firefox') {
+      for (const candidate of await discoverBrowsers({ host, scanPorts })) {
+        if (brand === 'detect' || candidate.brand === brand) {
+          targets.push({
+            connection: createConnection({ host, port: candidate.port, brand: candidate.brand, userDataDir: candidate.userDataDir }),
+            source: candidate.source
+          });
+        }
+      }
+    }
+    for (const [browserBrand, port] of Object.entries(defaultPorts)) {
+      if ((brand === 'detect' || brand === browserBrand) && !targets.some(target => target.connection.port === port)) {
+        const protocol = browserBrand === 'firefox' ? 'webdriver-bidi' : 'cdp';
+        targets.push({ connection: createConnection({ host, port, brand: browserBrand, protocol }), source: 'default-port' });
+      }
+    }
+  }
+
+  const attempts = [];
+  for (const { connection, source } of targets) {
+    attempts.push(await probeEndpoint(connection, source));
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    host,
+    attempts
+  };
+}
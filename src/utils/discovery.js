@@ -0,0 +1,185 @@
+import { readFile, stat } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createConnection, defaultHost, detectBrand, getVersionInfo, isLoopbackHost } from './cdp-http.js';
+
+/**
+ * Discovery of running Chromium-family browsers
+ * Chrome, Chromium, Edge and Brave write a DevToolsActivePort file into their
+ * user-data-dir when remote debugging is enabled (including --remote-debugging-port=0),
+ * so reading those files finds browsers on any port. An optional bounded port
+ * range scan covers browsers started with a custom --user-data-dir.
+ */
+
+/**
+ * Largest port range a scan may cover
+ */
+export const MAX_SCAN_PORTS = 256;
+
+/**
+ * Ranking of candidate sources (lower is preferred)
+ */
+const SOURCE_PRIORITY = {
+  DevToolsActivePort: 0,
+  'port-scan': 1
+};
+
+/**
+ * Number of ports probed at the same time
+ */
+const PROBE_CONCURRENCY = 16;
+
+/**
+ * Known Linux user-data-dirs of Chromium-family browsers
+ * @param {string} [home] - Home directory (default: current user's)
+ * @returns {Array<{brand: string, userDataDir: string}>} Profile locations
+ */
+export function knownUserDataDirs(home = os.homedir()) {
+  const config = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+
+  return [
+    { brand: 'chrome', userDataDir: path.join(config, 'google-chrome') },
+    { brand: 'chrome', userDataDir: path.join(config, 'google-chrome-beta') },
+    { brand: 'chrome', userDataDir: path.join(config, 'google-chrome-unstable') },
+    { brand: 'chromium', userDataDir: path.join(config, 'chromium') },
+    { brand: 'chromium', userDataDir: path.join(home, 'snap', 'chromium', 'common', 'chromium') },
+    { brand: 'edge', userDataDir: path.join(config, 'microsoft-edge') },
+    { brand: 'edge', userDataDir: path.join(config, 'microsoft-edge-beta') },
+    { brand: 'edge', userDataDir: path.join(config, 'microsoft-edge-dev') },
+    { brand: 'brave', userDataDir: path.join(config, 'BraveSoftware', 'Brave-Browser') },
+    { brand: 'brave', userDataDir: path.join(config, 'BraveSoftware', 'Brave-Browser-Beta') },
+    { brand: 'brave', userDataDir: path.join(config, 'BraveSoftware', 'Brave-Browser-Nightly') }
+  ];
+}
+
+/**
+ * Read the DevToolsActivePort file of a user-data-dir
+ * The file holds the debugging port on the first line and the browser WebSocket path on the second
+ * @param {string} userDataDir - Browser user-data-dir
+ * @returns {Promise<{port: number, browserPath: string|null, modified: Date}|null>} Port info, or null if absent
+ */
+export async function readDevToolsActivePort(userDataDir) {
+  const file = path.join(userDataDir, 'DevToolsActivePort');
+
+  try {
+    const [content, stats] = await Promise.all([readFile(file, 'utf8'), stat(file)]);
+    const [portLine, browserPath] = content.split('\n').map(line => line.trim());
+    const port = Number(portLine);
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+      return null;
+    }
+    return { port, browserPath: browserPath || null, modified: stats.mtime };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a port range such as "9222-9300" or "9229"
+ * @param {string} spec - Port or inclusive port range
+ * @returns {{start: number, end: number}} Parsed range
+ */
+export function parsePortRange(spec) {
+  const match = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(String(spec));
+  if (!match) {
+    throw new Error(`Invalid port range "${spec}" (expected e.g. 9222-9300)`);
+  }
+
+  const start = Number(match[1]);
+  const end = Number(match[2] ?? match[1]);
+  if (start < 1 || end > 65535 || start > end) {
+    throw new Error(`Invalid port range "${spec}"`);
+  }
+  if (end - start + 1 > MAX_SCAN_PORTS) {
+    throw new Error(`Port range "${spec}" is too large (at most ${MAX_SCAN_PORTS} ports)`);
+  }
+  return { start, end };
+}
+
+/**
+ * Probe one candidate's /json/version endpoint and fill in what it reports
+ * @param {Object} candidate - Discovery candidate
+ * @param {string} host - DevTools host
+ * @param {number} timeout - Probe timeout in milliseconds
+ */
+async function probeCandidate(candidate, host, timeout) {
+  const connection = createConnection({ host, port: candidate.port, brand: candidate.brand ?? 'chrome' });
+
+  try {
+    const versionInfo = await getVersionInfo(connection, timeout);
+    candidate.reachable = true;
+    candidate.versionInfo = versionInfo;
+    candidate.wsEndpoint = versionInfo.webSocketDebuggerUrl;
+    candidate.brand = candidate.brand ?? detectBrand(versionInfo);
+  } catch (error) {
+    candidate.reachable = false;
+    candidate.error = error.message;
+    candidate.brand = candidate.brand ?? 'unknown';
+  }
+}
+
+/**
+ * Find running Chromium-family browsers with remote debugging enabled
+ * DevToolsActivePort files are only read for local hosts; scanned ports are probed on any host
+ * @param {Object} [options] - Discovery options
+ * @param {string} [options.host] - DevTools host (default: ANY_BROWSER_HOST or localhost)
+ * @param {string|{start: number, end: number}} [options.scanPorts] - Optional port range to scan
+ * @param {number} [options.timeout] - Per-port probe timeout in milliseconds (default: 1000)
+ * @param {boolean} [options.verbose] - Enable verbose logging
+ * @returns {Promise<Array<Object>>} Candidates ({ brand, port, host, source, userDataDir, reachable,
+ *   wsEndpoint, versionInfo, error }), reachable and most recently started browsers first
+ */
+export async function discoverBrowsers({ host = defaultHost(), scanPorts, timeout = 1000, verbose = false } = {}) {
+  const candidates = new Map();
+
+  if (isLoopbackHost(host)) {
+    for (const { brand, userDataDir } of knownUserDataDirs()) {
+      const activePort = await readDevToolsActivePort(userDataDir);
+      if (activePort && !candidates.has(activePort.port)) {
+        if (verbose) {
+          console.error(`📄 DevToolsActivePort in ${userDataDir}: port ${activePort.port}`);
+        }
+        candidates.set(activePort.port, {
+          brand,
+          port: activePort.port,
+          host,
+          source: 'DevToolsActivePort',
+          userDataDir,
+          modified: activePort.modified
+        });
+      }
+    }
+  }
+
+  if (scanPorts) {
+    const { start, end } = typeof scanPorts === 'string' ? parsePortRange(scanPorts) : scanPorts;
+    if (verbose) {
+      console.error(`🔎 Scanning ports ${start}-${end} on ${host}...`);
+    }
+    for (let port = start; port <= end; port++) {
+      if (!candidates.has(port)) {
+        candidates.set(port, { brand: null, port, host, source: 'port-scan', userDataDir: null, modified: null });
+      }
+    }
+  }
+
+  const list = [...candidates.values()];
+  for (let i = 0; i < list.length; i += PROBE_CONCURRENCY) {
+    await Promise.all(list.slice(i, i + PROBE_CONCURRENCY).map(candidate => probeCandidate(candidate, host, timeout)));
+  }
+
+  // Scanned ports that answer nothing are noise - only report the browsers found there
+  const found = list.filter(candidate => candidate.reachable || candidate.source !== 'port-scan');
+
+  found.sort((a, b) =>
+    (b.reachable - a.reachable) ||
+    (SOURCE_PRIORITY[a.source] - SOURCE_PRIORITY[b.source]) ||
+    ((b.modified?.getTime() ?? 0) - (a.modified?.getTime() ?? 0)) ||
+    (a.port - b.port)
+  );
+
+  if (verbose) {
+    console.error(`🔍 Discovery found ${found.filter(candidate => candidate.reachable).length} reachable browser(s)`);
+  }
+  return found;
+}
@@ -0,0 +1,108 @@
+import { z } from 'zod';
+
+/**
+ * Frame targeting for the Playwright tools
+ * A frame argument picks where a tool runs: by frame name, by URL pattern, or by
+ * a chain of iframe selectors ("iframe#checkout >> iframe[name=card]") walked
+ * with page.frameLocator. Without one, tools run in the page's main frame.
+ */
+
+/**
+ * Zod schema for the optional frame argument of selector-based tools
+ */
+export const frameArgument = z.string().optional().describe('Frame to act in (default: main frame): a frame name, a URL pattern containing * or :// (e.g. "*js.stripe.com*"), or an iframe selector chain (e.g. "iframe#checkout >> iframe[name=card]"). See browser_list_frames');
+
+/**
+ * Whether a frame argument is a URL pattern rather than a selector chain
+ * @param {string} frame - Frame argument
+ * @returns {boolean} True for globs and absolute URLs
+ */
+function isUrlPattern(frame) {
+  return frame.includes('*') || frame.includes('://');
+}
+
+/**
+ * Match a URL against a glob where * matches any run of characters
+ * @param {string} url - Frame URL
+ * @param {string} pattern - Glob or exact URL
+ * @returns {boolean} True if the whole URL matches
+ */
+function matchesUrl(url, pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(url);
+}
+
+/**
+ * Resolve a frame argument to the Frame a tool should run in
+ * @param {Page} page - Playwright page
+ * @param {string} [frame] - Frame name, URL pattern or iframe selector chain
+ * @param {Object} [options] - Resolution options
+ * @param {number} [options.timeout] - Milliseconds to wait for iframe selectors (default: 30000)
+ * @returns {Promise<Page|Frame>} The page itself without a frame argument, else the matching frame
+ */
+export async function resolveFrame(page, frame, { timeout = 30000 } = {}) {
+  if (!frame) {
+    return page;
+  }
+
+  const frames = page.frames();
+  const named = frames.find(candidate => candidate.name() === frame);
+  if (named) {
+    return named;
+  }
+
+  if (isUrlPattern(frame)) {
+    const matches = frames.filter(candidate => matchesUrl(candidate.url(), frame));
+    if (matches.length === 0) {
+      throw new Error(`No frame URL matches "${frame}" (see browser_list_frames)`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Frame pattern "${frame}" is ambiguous, it matches:\n${matches.map(match => `  ${match.url()}`).join('\n')}`);
+    }
+    return matches[0];
+  }
+
+  // Walk the iframe selectors one frame at a time
+  let frameLocator = null;
+  for (const selector of frame.split('>>').map(part => part.trim()).filter(Boolean)) {
+    frameLocator = (frameLocator ?? page).frameLocator(selector);
+  }
+  if (!frameLocator) {
+    throw new Error(`Invalid frame "${frame}"`);
+  }
+
+  const owner = await frameLocator.owner().elementHandle({ timeout });
+  try {
+    const contentFrame = await owner.contentFrame();
+    if (!contentFrame) {
+      throw new Error(`"${frame}" does not select an <iframe> or <frame> element`);
+    }
+    return contentFrame;
+  } finally {
+    await owner.dispose();
+  }
+}
+
+/**
+ * Describe the frames of a page for browser_list_frames
+ * @param {Page} page - Playwright page
+ * @returns {Array<Object>} Frames in document order with their parent and nesting depth
+ */
+export function describeFrames(page) {
+  const frames = page.frames();
+  return frames.map((frame, index) => {
+    let depth = 0;
+    for (let parent = frame.parentFrame(); parent; parent = parent.parentFrame()) {
+      depth++;
+    }
+    return {
+      index,
+      name: frame.name() || null,
+      url: frame.url(),
+      parentIndex: frame.parentFrame() ? frames.indexOf(frame.parentFrame()) : null,
+      depth,
+      isMainFrame: frame === page.mainFrame(),
+      detached: frame.isDetached()
+    };
+  });
+}
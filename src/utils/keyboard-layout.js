@@ -0,0 +1,239 @@
+/**
+ * US keyboard layout and key combo parsing for CDP Input.dispatchKeyEvent
+ * Mirrors Playwright's keyboard semantics: keys are named like KeyboardEvent.key
+ * ("Enter", "ArrowDown", "a") or KeyboardEvent.code ("KeyA", "Digit1"), and
+ * combos join modifiers with "+" ("Control+Shift+T", "ControlOrMeta+A").
+ */
+
+/**
+ * Modifier keys and their CDP modifier bits
+ */
+export const MODIFIER_BITS = {
+  Alt: 1,
+  Control: 2,
+  Meta: 4,
+  Shift: 8
+};
+
+/**
+ * Keys on a US keyboard: [code, windowsVirtualKeyCode, key, shifted key, location]
+ */
+const KEYS = [
+  // Function row
+  ['Escape', 27, 'Escape'],
+  ...Array.from({ length: 12 }, (_, i) => [`F${i + 1}`, 112 + i, `F${i + 1}`]),
+
+  // Number row
+  ['Backquote', 192, '`', '~'],
+  ['Digit1', 49, '1', '!'],
+  ['Digit2', 50, '2', '@'],
+  ['Digit3', 51, '3', '#'],
+  ['Digit4', 52, '4', '$'],
+  ['Digit5', 53, '5', '%'],
+  ['Digit6', 54, '6', '^'],
+  ['Digit7', 55, '7', '&'],
+  ['Digit8', 56, '8', '*'],
+  ['Digit9', 57, '9', '('],
+  ['Digit0', 48, '0', ')'],
+  ['Minus', 189, '-', '_'],
+  ['Equal', 187, '=', '+'],
+  ['Backslash', 220, '\\', '|'],
+  ['Backspace', 8, 'Backspace'],
+
+  // Letters
+  ...'abcdefghijklmnopqrstuvwxyz'.split('').map(letter =>
+    [`Key${letter.toUpperCase()}`, letter.toUpperCase().charCodeAt(0), letter, letter.toUpperCase()]),
+
+  // Punctuation
+  ['Tab', 9, 'Tab'],
+  ['BracketLeft', 219, '[', '{'],
+  ['BracketRight', 221, ']', '}'],
+  ['CapsLock', 20, 'CapsLock'],
+  ['Semicolon', 186, ';', ':'],
+  ['Quote', 222, '\'', '"'],
+  ['Enter', 13, 'Enter'],
+  ['Comma', 188, ',', '<'],
+  ['Period', 190, '.', '>'],
+  ['Slash', 191, '/', '?'],
+  ['Space', 32, ' '],
+
+  // Modifiers
+  ['ShiftLeft', 16, 'Shift', undefined, 1],
+  ['ShiftRight', 16, 'Shift', undefined, 2],
+  ['ControlLeft', 17, 'Control', undefined, 1],
+  ['ControlRight', 17, 'Control', undefined, 2],
+  ['AltLeft', 18, 'Alt', undefined, 1],
+  ['AltRight', 18, 'Alt', undefined, 2],
+  ['MetaLeft', 91, 'Meta', undefined, 1],
+  ['MetaRight', 92, 'Meta', undefined, 2],
+  ['ContextMenu', 93, 'ContextMenu'],
+
+  // Navigation and editing
+  ['Insert', 45, 'Insert'],
+  ['Delete', 46, 'Delete'],
+  ['Home', 36, 'Home'],
+  ['End', 35, 'End'],
+  ['PageUp', 33, 'PageUp'],
+  ['PageDown', 34, 'PageDown'],
+  ['ArrowUp', 38, 'ArrowUp'],
+  ['ArrowDown', 40, 'ArrowDown'],
+  ['ArrowLeft', 37, 'ArrowLeft'],
+  ['ArrowRight', 39, 'ArrowRight'],
+  ['PrintScreen', 44, 'PrintScreen'],
+  ['ScrollLock', 145, 'ScrollLock'],
+  ['Pause', 19, 'Pause'],
+
+  // Numpad
+  ['NumLock', 144, 'NumLock', undefined, 3],
+  ['NumpadDivide', 111, '/', undefined, 3],
+  ['NumpadMultiply', 106, '*', undefined, 3],
+  ['NumpadSubtract', 109, '-', undefined, 3],
+  ['NumpadAdd', 107, '+', undefined, 3],
+  ['NumpadDecimal', 110, '.', undefined, 3],
+  ['NumpadEnter', 13, 'Enter', undefined, 3],
+  ...Array.from({ length: 10 }, (_, i) => [`Numpad${i}`, 96 + i, String(i), undefined, 3])
+];
+
+/**
+ * Text a key produces when it is not a printable character
+ */
+const KEY_TEXT = {
+  Enter: '\r'
+};
+
+/**
+ * Layout lookup: by code, by unshifted key and by shifted key
+ * Keys shared by several codes (Shift, Enter, digits on the numpad) resolve to the main keyboard
+ */
+const LAYOUT = new Map();
+for (const [code, keyCode, key, shiftKey, location = 0] of KEYS) {
+  const definition = { code, keyCode, key, shiftKey, location };
+  LAYOUT.set(code, definition);
+  if (!LAYOUT.has(key)) {
+    LAYOUT.set(key, definition);
+  }
+  if (shiftKey && !LAYOUT.has(shiftKey)) {
+    LAYOUT.set(shiftKey, { ...definition, key: shiftKey, shifted: true });
+  }
+}
+
+// Control characters typed as part of text
+LAYOUT.set('\n', LAYOUT.get('Enter'));
+LAYOUT.set('\r', LAYOUT.get('Enter'));
+LAYOUT.set('\t', LAYOUT.get('Tab'));
+
+/**
+ * Editing commands macOS Chrome needs alongside Meta shortcuts (it does not derive them from the keys)
+ */
+const MAC_EDITING_COMMANDS = {
+  KeyA: 'selectAll',
+  KeyC: 'copy',
+  KeyV: 'paste',
+  KeyX: 'cut',
+  KeyZ: 'undo'
+};
+
+/**
+ * Resolve the ControlOrMeta alias
+ * @param {string} key - Key or modifier name
+ * @param {string} [platform] - Platform (default: process.platform)
+ * @returns {string} Key name
+ */
+export function resolveKeyAlias(key, platform = process.platform) {
+  if (key === 'ControlOrMeta') {
+    return platform === 'darwin' ? 'Meta' : 'Control';
+  }
+  return key;
+}
+
+/**
+ * Whether a key (or single character) is on the US layout
+ * @param {string} key - Key name, code or character
+ * @returns {boolean} True if the layout knows it
+ */
+export function isKnownKey(key) {
+  return LAYOUT.has(key);
+}
+
+/**
+ * Split a key combo like "Control+Shift+T" into modifiers and the main key
+ * "ControlOrMeta" resolves to Meta on macOS and Control elsewhere
+ * @param {string} combo - Key or combo
+ * @param {string} [platform] - Platform for ControlOrMeta (default: process.platform)
+ * @returns {{modifiers: Array<string>, key: string}} Modifiers in press order and the main key
+ */
+export function parseKeyCombo(combo, platform = process.platform) {
+  const parts = combo.split('+');
+  // "Control++" and "+" press the plus key itself
+  if (parts.length > 1 && parts[parts.length - 1] === '' && parts[parts.length - 2] === '') {
+    parts.splice(-2, 2, '+');
+  }
+
+  const key = resolveKeyAlias(parts.pop(), platform);
+  const modifiers = parts.map(modifier => {
+    const name = resolveKeyAlias(modifier, platform);
+    if (!(name in MODIFIER_BITS)) {
+      throw new Error(`Unknown modifier "${modifier}" in "${combo}" (use Alt, Control, Meta, Shift or ControlOrMeta)`);
+    }
+    return name;
+  });
+
+  if (!key) {
+    throw new Error(`Missing key in "${combo}"`);
+  }
+  if (!isKnownKey(key)) {
+    throw new Error(`Unknown key "${key}" in "${combo}"`);
+  }
+  return { modifiers, key };
+}
+
+/**
+ * Modifier bitmask for a list of modifier names
+ * @param {Iterable<string>} modifiers - Pressed modifiers
+ * @returns {number} CDP modifiers bitmask
+ */
+export function modifierMask(modifiers) {
+  let mask = 0;
+  for (const modifier of modifiers) {
+    mask |= MODIFIER_BITS[modifier] ?? 0;
+  }
+  return mask;
+}
+
+/**
+ * Describe a key press for Input.dispatchKeyEvent
+ * @param {string} key - Key name, code or character
+ * @param {number} modifiers - Modifier bitmask currently held
+ * @param {string} [platform] - Platform for the macOS editing commands (default: process.platform)
+ * @returns {{key: string, code: string, keyCode: number, text: string, location: number, commands: Array<string>}} Key event fields
+ */
+export function describeKey(key, modifiers = 0, platform = process.platform) {
+  const definition = LAYOUT.get(key);
+  if (!definition) {
+    throw new Error(`Unknown key "${key}"`);
+  }
+
+  const shift = (modifiers & MODIFIER_BITS.Shift) !== 0;
+  // Named by code ("KeyA") or unshifted key: Shift picks the shifted character
+  const resolvedKey = shift && definition.shiftKey && !definition.shifted ? definition.shiftKey : definition.key;
+  let text = resolvedKey.length === 1 ? resolvedKey : (KEY_TEXT[resolvedKey] ?? '');
+
+  // Shortcuts produce no text: Control+A selects, it does not type "a"
+  if (modifiers & ~MODIFIER_BITS.Shift) {
+    text = '';
+  }
+
+  // Only macOS binds Meta+A/C/V/X/Z to editing commands
+  const commands = platform === 'darwin' && (modifiers & MODIFIER_BITS.Meta) && MAC_EDITING_COMMANDS[definition.code]
+    ? [shift && definition.code === 'KeyZ' ? 'redo' : MAC_EDITING_COMMANDS[definition.code]]
+    : [];
+
+  return {
+    key: resolvedKey,
+    code: definition.code,
+    keyCode: definition.keyCode,
+    text,
+    location: definition.location,
+    commands
+  };
+}
@@ -0,0 +1,231 @@
+import { readFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Named launch profiles for browsers the server starts itself
+ *
+ * Profiles live in a JSON file (--profiles-config, ANY_BROWSER_PROFILES, or
+ * ~/.config/any-browser-mcp/profiles.json):
+ *
+ *   {
+ *     "profiles": {
+ *       "work": {
+ *         "browser": "chrome",
+ *         "executablePath": "/usr/bin/google-chrome",
+ *         "userDataDir": "~/.config/any-browser-mcp/work",
+ *         "headless": false,
+ *         "args": ["--lang=en-US"],
+ *         "extensions": ["~/extensions/react-devtools"],
+ *         "proxy": { "server": "http://proxy:3128", "bypass": "localhost" },
+ *         "viewport": { "width": 1280, "height": 800 }
+ *       }
+ *     }
+ *   }
+ */
+
+/**
+ * Flags every launched Chromium gets
+ */
+export const BASE_CHROMIUM_ARGS = [
+  '--no-first-run',
+  '--no-default-browser-check',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding'
+];
+
+/**
+ * Profile used when none is named: a throwaway headful browser
+ */
+const DEFAULT_PROFILE = {
+  name: 'default',
+  browser: null,
+  executablePath: null,
+  userDataDir: null,
+  headless: false,
+  args: [],
+  extensions: [],
+  proxy: null,
+  viewport: null
+};
+
+/**
+ * Default location of the profiles file
+ * @returns {string} Config file path
+ */
+export function defaultProfilesPath() {
+  return process.env.ANY_BROWSER_PROFILES
+    || path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'any-browser-mcp', 'profiles.json');
+}
+
+/**
+ * Expand a leading ~ to the home directory
+ * @param {string|null} value - Path from the config file
+ * @returns {string|null} Absolute-ready path
+ */
+function expandHome(value) {
+  if (typeof value !== 'string') {
+    return value ?? null;
+  }
+  return value === '~' || value.startsWith('~/') ? path.join(os.homedir(), value.slice(1)) : value;
+}
+
+/**
+ * Load the profiles defined in a config file
+ * A missing file at the default location is not an error; a missing explicit file is
+ * @param {string} [configPath] - Config file path (default: see defaultProfilesPath)
+ * @returns {Promise<Object>} Raw profiles keyed by name
+ */
+export async function loadLaunchProfiles(configPath) {
+  const file = configPath || defaultProfilesPath();
+
+  let text;
+  try {
+    text = await readFile(expandHome(file), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !configPath) {
+      return {};
+    }
+    throw new Error(`Cannot read launch profiles from ${file}: ${error.message}`);
+  }
+
+  try {
+    const config = JSON.parse(text);
+    return config.profiles ?? {};
+  } catch (error) {
+    throw new Error(`Invalid launch profiles file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve a named profile into complete launch settings
+ * The config file may override the built-in 'default' profile
+ * @param {string} [name] - Profile name (default: 'default')
+ * @param {Object} [options] - Resolution options
+ * @param {string} [options.configPath] - Config file path
+ * @param {boolean} [options.headless] - Override the profile's headless setting (e.g. from --headless)
+ * @returns {Promise<Object>} Profile ({ name, browser, executablePath, userDataDir, headless, args, extensions, proxy, viewport })
+ */
+export async function resolveLaunchProfile(name = 'default', { configPath, headless } = {}) {
+  const profiles = await loadLaunchProfiles(configPath);
+
+  if (name !== 'default' && !profiles[name]) {
+    const available = Object.keys(profiles);
+    throw new Error(`Unknown launch profile "${name}". ${available.length ? `Available profiles: ${available.join(', ')}` : `No profiles defined in ${configPath || defaultProfilesPath()}`}`);
+  }
+
+  return {
+    ...DEFAULT_PROFILE,
+    ...normalize(profiles[name]),
+    name,
+    ...(headless !== undefined && { headless })
+  };
+}
+
+/**
+ * Normalize profile fields from the config file
+ * @param {Object} [profile] - Raw profile
+ * @returns {Object} Profile fields with paths expanded
+ */
+function normalize(profile = {}) {
+  const normalized = { ...profile };
+  if ('executablePath' in profile) {
+    normalized.executablePath = expandHome(profile.executablePath);
+  }
+  if ('userDataDir' in profile) {
+    normalized.userDataDir = expandHome(profile.userDataDir);
+  }
+  if ('extensions' in profile) {
+    normalized.extensions = (profile.extensions || []).map(expandHome);
+  }
+  return normalized;
+}
+
+/**
+ * Chromium flags that load a profile's extensions
+ * @param {Object} profile - Resolved profile
+ * @returns {Array<string>} Extension flags (empty without extensions)
+ */
+function extensionArgs(profile) {
+  if (profile.extensions.length === 0) {
+    return [];
+  }
+  const list = profile.extensions.join(',');
+  return [`--disable-extensions-except=${list}`, `--load-extension=${list}`];
+}
+
+/**
+ * Playwright launch options for a profile
+ * @param {Object} profile - Resolved profile
+ * @param {string} engine - 'chromium' or 'firefox'
+ * @returns {Object} Options for launch() / launchPersistentContext()
+ */
+export function playwrightLaunchOptions(profile, engine) {
+  if (engine === 'firefox' && profile.extensions.length > 0) {
+    throw new Error(`Launch profile "${profile.name}" loads extensions, which are only supported for Chromium-based browsers`);
+  }
+
+  const options = {
+    headless: profile.headless,
+    devtools: false, // Don't auto-open devtools
+    args: engine === 'chromium'
+      ? [...BASE_CHROMIUM_ARGS, ...extensionArgs(profile), ...profile.args]
+      : [...profile.args]
+  };
+
+  if (profile.executablePath) {
+    options.executablePath = profile.executablePath;
+  }
+  if (profile.proxy) {
+    options.proxy = profile.proxy;
+  }
+  if (engine === 'chromium' && profile.extensions.length > 0) {
+    // Playwright disables extensions unless told otherwise
+    options.ignoreDefaultArgs = ['--disable-extensions'];
+  }
+  return options;
+}
+
+/**
+ * Context options for a profile (viewport)
+ * @param {Object} profile - Resolved profile
+ * @returns {Object} Options for newContext() / launchPersistentContext()
+ */
+export function profileContextOptions(profile) {
+  return profile.viewport ? { viewport: profile.viewport } : {};
+}
+
+/**
+ * Command line for spawning Chrome directly with a profile
+ * @param {Object} profile - Resolved profile (userDataDir required)
+ * @param {Object} options - Command line options
+ * @param {number} options.port - Remote debugging port
+ * @returns {Array<string>} Chrome arguments
+ */
+export function chromeCommandLine(profile, { port }) {
+  const args = [
+    `--remote-debugging-port=${port}`,
+    `--user-data-dir=${profile.userDataDir}`,
+    ...BASE_CHROMIUM_ARGS
+  ];
+
+  if (profile.headless) {
+    args.push('--headless=new');
+  }
+  if (process.platform === 'linux' && process.getuid?.() === 0) {
+    // Chrome refuses to start its sandbox as root (typical in CI containers)
+    args.push('--no-sandbox');
+  }
+  if (profile.proxy?.server) {
+    args.push(`--proxy-server=${profile.proxy.server}`);
+    if (profile.proxy.bypass) {
+      args.push(`--proxy-bypass-list=${profile.proxy.bypass}`);
+    }
+  }
+  if (profile.viewport) {
+    args.push(`--window-size=${profile.viewport.width},${profile.viewport.height}`);
+  }
+
+  return [...args, ...extensionArgs(profile), ...profile.args];
+}
@@ -0,0 +1,95 @@
+import { rmSync } from 'fs';
+import { rm } from 'fs/promises';
+
+/**
+ * Process lifecycle helpers for browsers the server launched itself
+ * Launched browsers belong to the server and go away with it; attached browsers
+ * belong to the user and are only disconnected.
+ */
+
+/**
+ * Stop a spawned browser process, escalating to SIGKILL if it does not exit in time
+ * @param {ChildProcess} child - Spawned browser process
+ * @param {number} [timeout] - Milliseconds to wait after SIGTERM (default: 5000)
+ * @returns {Promise<void>} Resolves once the process has exited
+ */
+export async function stopProcess(child, timeout = 5000) {
+  // Never started (spawn error) or already gone
+  if (child.pid === undefined || child.exitCode !== null || child.signalCode !== null) {
+    return;
+  }
+
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  child.kill('SIGTERM');
+
+  let timer;
+  const timedOut = new Promise(resolve => {
+    timer = setTimeout(() => resolve(true), timeout);
+  });
+  if (await Promise.race([exited.then(() => false), timedOut])) {
+    child.kill('SIGKILL');
+    await exited;
+  }
+  clearTimeout(timer);
+}
+
+/**
+ * Remove a temporary browser profile directory
+ * @param {string} dir - Directory to remove
+ * @param {boolean} [verbose] - Enable verbose logging
+ */
+export async function removeProfileDir(dir, verbose = false) {
+  try {
+    // Chrome may still be flushing files for a moment after it exited
+    await rm(dir, { recursive: true, force: true, maxRetries: 3, retryDelay: 200 });
+    if (verbose) {
+      console.error(`🗑️  Removed temporary profile ${dir}`);
+    }
+  } catch (error) {
+    if (verbose) {
+      console.error(`⚠️  Could not remove temporary profile ${dir}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Run cleanup once when the server is asked to stop, then exit
+ * Stops on SIGINT, SIGTERM and when the MCP client closes stdin. The 'exit'
+ * handler cannot wait for async work, so exitCleanup does the synchronous part
+ * (killing processes, removing directories) if the process exits some other way.
+ * @param {Function} cleanup - Async cleanup
+ * @param {Function} [exitCleanup] - Synchronous last-resort cleanup
+ */
+export function handleShutdown(cleanup, exitCleanup = () => {}) {
+  let shutdown = null;
+
+  const stop = () => {
+    shutdown ??= Promise.resolve()
+      .then(cleanup)
+      .catch(error => console.error('⚠️  Cleanup failed:', error.message))
+      .finally(() => process.exit(0));
+  };
+
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  process.stdin.once('end', stop);
+  process.once('exit', exitCleanup);
+}
+
+/**
+ * Synchronously kill a process and remove its temporary profile (for process 'exit' handlers)
+ * @param {ChildProcess|null} child - Spawned browser process
+ * @param {string|null} tempDir - Temporary profile directory
+ */
+export function killSync(child, tempDir) {
+  if (child?.pid !== undefined && child.exitCode === null && child.signalCode === null) {
+    child.kill('SIGKILL');
+  }
+  if (tempDir) {
+    try {
+      rmSync(tempDir, { recursive: true, force: true });
+    } catch {
+      // Best effort - the process is exiting
+    }
+  }
+}
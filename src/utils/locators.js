@@ -0,0 +1,114 @@
+import { z } from 'zod';
+import { refSelector } from './aria-snapshot.js';
+
+/**
+ * Semantic targets for the Playwright interaction tools
+ * Besides a CSS selector or a snapshot ref, tools accept a target object that maps
+ * onto Playwright's user-facing locators (getByRole, getByLabel, getByText, ...).
+ * Targets are strict: if one matches several elements the tool fails and lists
+ * them, and `nth` picks one explicitly.
+ */
+
+/**
+ * Ambiguous matches listed in strict-mode errors
+ */
+const MAX_LISTED_MATCHES = 10;
+
+/**
+ * Zod schema for the optional target argument of interaction tools
+ */
+export const targetArgument = z.object({
+  role: z.string().optional().describe('ARIA role, e.g. "button", "link", "textbox", "checkbox"'),
+  name: z.string().optional().describe('Accessible name to match together with role'),
+  label: z.string().optional().describe('Text of the associated <label> or aria-label'),
+  text: z.string().optional().describe('Visible text content'),
+  placeholder: z.string().optional().describe('Placeholder text of an input'),
+  testId: z.string().optional().describe('Value of the data-testid attribute'),
+  exact: z.boolean().optional().describe('Match name, label, text or placeholder exactly, case-sensitive (default: false, substring match)'),
+  nth: z.number().int().optional().describe('Pick the nth match (0-based, -1 for the last) when several elements match')
+}).optional().describe('Semantic target instead of selector, e.g. { "role": "button", "name": "Save" } or { "label": "Email" }');
+
+/**
+ * Describe a target for messages, e.g. role=button name="Save"
+ * @param {Object} target - Target object
+ * @returns {string} Description
+ */
+export function describeTarget(target) {
+  return Object.entries(target)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? JSON.stringify(value) : value}`)
+    .join(' ');
+}
+
+/**
+ * Playwright locator for a target object
+ * @param {Page} page - Playwright page
+ * @param {Object} target - Target object (see targetArgument)
+ * @returns {Locator} Locator that may match several elements
+ */
+function targetLocator(page, { role, name, label, text, placeholder, testId, exact }) {
+  const kinds = [role, label, text, placeholder, testId].filter(value => value !== undefined);
+  if (kinds.length !== 1) {
+    throw new Error('A target needs exactly one of role, label, text, placeholder or testId');
+  }
+  if (name !== undefined && role === undefined) {
+    throw new Error('target.name is only used together with target.role');
+  }
+
+  if (role !== undefined) {
+    return page.getByRole(role, name === undefined ? {} : { name, exact });
+  }
+  if (label !== undefined) {
+    return page.getByLabel(label, { exact });
+  }
+  if (text !== undefined) {
+    return page.getByText(text, { exact });
+  }
+  if (placeholder !== undefined) {
+    return page.getByPlaceholder(placeholder, { exact });
+  }
+  return page.getByTestId(testId);
+}
+
+/**
+ * Locator for a tool's element, given exactly one of a CSS selector, a snapshot ref or a target
+ * CSS selectors keep acting on the first match; refs and targets must match a single element.
+ * @param {Page} page - Playwright page
+ * @param {{selector?: string, ref?: string, target?: Object}} options - Tool arguments
+ * @returns {Promise<Locator>} Locator
+ */
+export async function locate(page, { selector, ref, target }) {
+  const given = [selector, ref, target].filter(value => value !== undefined && value !== '');
+  if (given.length !== 1) {
+    throw new Error('Provide exactly one of selector, ref or target');
+  }
+
+  if (selector) {
+    return page.locator(selector).first();
+  }
+  if (ref) {
+    return page.locator(refSelector(ref));
+  }
+
+  const { nth } = target;
+  const locator = targetLocator(page, target);
+  if (nth !== undefined) {
+    return locator.nth(nth);
+  }
+
+  // Fail now with the candidates instead of guessing; no match yet is fine, the action waits for one
+  const { count, matches } = await locator.evaluateAll((elements, limit) => ({
+    count: elements.length,
+    matches: elements.slice(0, limit).map(element => {
+      const text = (element.innerText ?? element.textContent ?? '').replace(/\s+/g, ' ').trim();
+      const id = element.id ? `#${element.id}` : '';
+      return `<${element.tagName.toLowerCase()}${id}>${text ? ` "${text.slice(0, 60)}"` : ''}`;
+    })
+  }), MAX_LISTED_MATCHES);
+  if (count > 1) {
+    const listed = matches.map((match, index) => `  ${index}) ${match}`).join('\n');
+    const more = count > matches.length ? `\n  ... and ${count - matches.length} more` : '';
+    throw new Error(`Target ${describeTarget(target)} is ambiguous: it matches ${count} elements. Add nth to pick one:\n${listed}${more}`);
+  }
+  return locator;
+}
@@ -0,0 +1,344 @@
+/**
+ * Functions that run inside the page via Runtime.callFunctionOn (see CDPSessionBase.callFunction)
+ * They are serialized with Function.prototype.toString(), so each one must be
+ * self-contained: no closures over module scope, no imports. The one exception
+ * are the PAGE_HELPERS below, which pageFunctionSource bundles with every call.
+ * Selectors and other user input arrive as arguments - never splice them into source text.
+ */
+
+/**
+ * All elements matching a deep selector, in document order
+ * Each CSS selector also matches inside open shadow roots, and "a >> b" finds b
+ * within the subtree (light and shadow) of each a, so "my-app >> button.save"
+ * reaches a button in my-app's shadow root.
+ * @param {string} selector - CSS selector, or CSS selectors chained with >>
+ * @param {number} [limit] - Stop after this many matches (default: all)
+ * @returns {Array<Element>} Matching elements
+ */
+export function querySelectorAllDeep(selector, limit = Infinity) {
+  // Split on >> outside of quotes, brackets and parentheses
+  const parts = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+    if (quote) {
+      if (char === '\\') {
+        current += char + (selector[++i] ?? '');
+        continue;
+      }
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === ')') {
+      depth--;
+    } else if (char === '>' && selector[i + 1] === '>' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      i++;
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+
+  if (parts.some(part => !part)) {
+    throw new Error(`Invalid selector: ${selector}`);
+  }
+  // Report syntax errors even when the page has no elements to match against
+  for (const part of parts) {
+    document.createDocumentFragment().querySelector(part);
+  }
+
+  const search = (root, part, matches, max) => {
+    if (root.shadowRoot) {
+      search(root.shadowRoot, part, matches, max);
+    }
+    for (const element of root.querySelectorAll('*')) {
+      if (matches.size >= max) {
+        return;
+      }
+      if (element.matches(part)) {
+        matches.add(element);
+      }
+      if (element.shadowRoot) {
+        search(element.shadowRoot, part, matches, max);
+      }
+    }
+  };
+
+  let roots = [document];
+  parts.forEach((part, index) => {
+    const matches = new Set();
+    const max = index === parts.length - 1 ? limit : Infinity;
+    for (const root of roots) {
+      if (matches.size >= max) {
+        break;
+      }
+      search(root, part, matches, max);
+    }
+    roots = [...matches];
+  });
+  return roots.slice(0, limit);
+}
+
+/**
+ * First element matching a deep selector (see querySelectorAllDeep)
+ * @param {string} selector - CSS selector, or CSS selectors chained with >>
+ * @returns {Element|null} Element, or null if nothing matches
+ */
+export function querySelectorDeep(selector) {
+  return querySelectorAllDeep(selector, 1)[0] ?? null;
+}
+
+/**
+ * Helpers available to every page function by name
+ */
+export const PAGE_HELPERS = [querySelectorAllDeep, querySelectorDeep];
+
+/**
+ * Source of a page function, wrapped so it can call the PAGE_HELPERS
+ * @param {Function|string} fn - Page function or its source
+ * @returns {string} Function declaration for Runtime.callFunctionOn
+ */
+export function pageFunctionSource(fn) {
+  const helpers = PAGE_HELPERS.map(helper => `  const ${helper.name} = ${helper};`).join('\n');
+  return `function (...args) {\n${helpers}\n  return (${fn}).apply(this, args);\n}`;
+}
+
+/**
+ * Why an element can't be acted on yet, called with `this` bound to the element
+ * Stable means the same bounding box across an animation frame, so elements that
+ * are still sliding or fading in are waited for.
+ * @returns {Promise<string|null>} Reason, or null once the element is attached, visible and stable
+ */
+export async function actionabilityIssue() {
+  const element = this;
+  if (!element.isConnected) {
+    return 'element is not attached to the DOM';
+  }
+
+  const box = () => {
+    const rect = element.getBoundingClientRect();
+    return [rect.left, rect.top, rect.width, rect.height];
+  };
+  const before = box();
+  if (before[2] === 0 || before[3] === 0 || getComputedStyle(element).visibility !== 'visible') {
+    return 'element is not visible';
+  }
+
+  // Background tabs don't run animation frames, so don't wait on one forever
+  await new Promise(resolve => {
+    requestAnimationFrame(resolve);
+    setTimeout(resolve, 100);
+  });
+  const after = box();
+  if (before.some((value, i) => value !== after[i])) {
+    return 'element is not stable (still moving)';
+  }
+  return null;
+}
+
+/**
+ * Whether a point hits an element, called with `this` bound to the element
+ * @param {number} x - Viewport x coordinate
+ * @param {number} y - Viewport y coordinate
+ * @returns {string|null} Reason (e.g. "element is covered by #cookie-banner"), or null if the point hits it
+ */
+export function hitTargetIssue(x, y) {
+  const element = this;
+  let hit = document.elementFromPoint(x, y);
+  // Descend into open shadow roots to the innermost element
+  while (hit?.shadowRoot) {
+    const inner = hit.shadowRoot.elementFromPoint(x, y);
+    if (!inner || inner === hit) {
+      break;
+    }
+    hit = inner;
+  }
+  if (!hit) {
+    return 'element is outside of the viewport';
+  }
+
+  for (let node = hit; node; node = node.parentNode ?? node.host) {
+    if (node === element) {
+      return null;
+    }
+  }
+
+  // Name the covering element by the closest id, else by tag and classes
+  for (let node = hit; node?.nodeType === 1; node = node.parentElement) {
+    if (node.id) {
+      return `element is covered by #${node.id}`;
+    }
+  }
+  const classes = typeof hit.className === 'string' ? hit.className.trim().split(/\s+/).filter(Boolean) : [];
+  return `element is covered by ${[hit.tagName.toLowerCase(), ...classes.slice(0, 2)].join('.')}`;
+}
+
+/**
+ * Bounding box of the first element matching a selector, in document coordinates
+ * @param {string} selector - CSS selector
+ * @returns {{x: number, y: number, width: number, height: number}} Box relative to the top-left of the page
+ */
+export function elementBox(selector) {
+  const element = querySelectorDeep(selector);
+  if (!element) {
+    throw new Error(`Element not found: ${selector}`);
+  }
+  const rect = element.getBoundingClientRect();
+  if (rect.width === 0 || rect.height === 0) {
+    throw new Error(`Element is not visible: ${selector}`);
+  }
+  return { x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height };
+}
+
+/**
+ * Describe the elements matching a selector
+ * @param {string} selector - CSS selector
+ * @param {number} limit - Maximum number of elements
+ * @returns {Array<Object>} Element summaries
+ */
+export function describeElements(selector, limit) {
+  return querySelectorAllDeep(selector, limit).map((el, index) => ({
+    index,
+    tagName: el.tagName.toLowerCase(),
+    text: el.textContent?.trim().substring(0, 100) || '',
+    attributes: {
+      id: el.id || null,
+      class: el.className || null,
+      href: el.href || null,
+      src: el.src || null
+    },
+    visible: el.offsetParent !== null
+  }));
+}
+
+/**
+ * Text content of the first element matching a selector
+ * @param {string} selector - CSS selector
+ * @returns {string} Text content
+ */
+export function elementText(selector) {
+  const element = querySelectorDeep(selector);
+  if (!element) {
+    throw new Error(`Element not found: ${selector}`);
+  }
+  return element.textContent;
+}
+
+/**
+ * Attribute value of the first element matching a selector
+ * @param {string} selector - CSS selector
+ * @param {string} attribute - Attribute name
+ * @returns {string|null} Attribute value
+ */
+export function elementAttribute(selector, attribute) {
+  const element = querySelectorDeep(selector);
+  if (!element) {
+    throw new Error(`Element not found: ${selector}`);
+  }
+  return element.getAttribute(attribute);
+}
+
+/**
+ * Whether an element exists and is visible
+ * @param {string} selector - CSS selector
+ * @returns {{exists: boolean, visible: boolean}} Element state
+ */
+export function elementState(selector) {
+  const element = querySelectorDeep(selector);
+  return {
+    exists: element !== null,
+    visible: !!element && element.offsetParent !== null
+  };
+}
+
+/**
+ * Scroll an element, or the page without a selector
+ * @param {string|null} selector - CSS selector of the scroll container
+ * @param {number} x - Horizontal scroll position
+ * @param {number} y - Vertical scroll position
+ * @returns {{scrollLeft: number, scrollTop: number}} Resulting scroll position
+ */
+export function scrollTo(selector, x, y) {
+  if (!selector) {
+    window.scrollTo(x, y);
+    return { scrollLeft: window.scrollX, scrollTop: window.scrollY };
+  }
+  const element = querySelectorDeep(selector);
+  if (!element) {
+    throw new Error(`Element not found: ${selector}`);
+  }
+  element.scrollTo(x, y);
+  return { scrollLeft: element.scrollLeft, scrollTop: element.scrollTop };
+}
+
+/**
+ * Focus an input, textarea or contenteditable element and select its contents,
+ * so inserted text replaces the current value
+ * @param {string} selector - CSS selector
+ */
+export function focusAndSelect(selector) {
+  const element = querySelectorDeep(selector);
+  if (!element) {
+    throw new Error(`Element not found: ${selector}`);
+  }
+
+  const isTextControl = element instanceof HTMLTextAreaElement ||
+    (element instanceof HTMLInputElement && !['checkbox', 'radio', 'file', 'button', 'submit', 'reset', 'image', 'range', 'color'].includes(element.type));
+  if (!isTextControl && !element.isContentEditable) {
+    throw new Error(`Element is not an <input>, <textarea> or [contenteditable] element: ${selector}`);
+  }
+
+  element.focus();
+  if (isTextControl) {
+    element.select();
+  } else {
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+}
+
+/**
+ * Select the options of a <select> element and fire input and change events,
+ * like a user picking them. A single select keeps the first matching option.
+ * @param {string} selector - CSS selector
+ * @param {{value: string[], label: string[], index: number[]}} criteria - Option values, labels and indexes to select
+ * @returns {string[]} Values of the selected options
+ */
+export function selectOptions(selector, { value, label, index }) {
+  const element = querySelectorDeep(selector);
+  if (!element) {
+    throw new Error(`Element not found: ${selector}`);
+  }
+  if (!(element instanceof HTMLSelectElement)) {
+    throw new Error(`Element is not a <select> element: ${selector}`);
+  }
+  if (element.disabled) {
+    throw new Error(`Element is disabled: ${selector}`);
+  }
+
+  const options = [...element.options];
+  const matches = options.filter((option, i) =>
+    value.includes(option.value) || label.includes(option.label) || index.includes(i));
+  if (matches.length === 0) {
+    throw new Error(`No option matches in ${selector}`);
+  }
+
+  const selected = element.multiple ? matches : matches.slice(0, 1);
+  for (const option of options) {
+    option.selected = selected.includes(option);
+  }
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+  return selected.map(option => option.value);
+}
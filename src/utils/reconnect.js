@@ -0,0 +1,120 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Supervises a browser connection: when it drops, re-runs the connect callback
+ * with exponential backoff until it succeeds. While reconnecting, tools get a
+ * descriptive error from assertConnected() instead of failing on a dead socket.
+ *
+ * Events: 'lost' (reason), 'reconnected' (result of connect), 'retry' (error, delay)
+ */
+export class ConnectionSupervisor extends EventEmitter {
+  /**
+   * @param {Object} options - Supervisor options
+   * @param {Function} options.connect - Async function that re-establishes the connection
+   * @param {string} [options.name] - Label used in logs and errors (default: 'browser')
+   * @param {number} [options.initialDelay] - First retry delay in milliseconds (default: 500)
+   * @param {number} [options.maxDelay] - Upper bound for the retry delay (default: 10000)
+   * @param {boolean} [options.verbose] - Enable verbose logging
+   */
+  constructor({ connect, name = 'browser', initialDelay = 500, maxDelay = 10000, verbose = false }) {
+    super();
+    this.connect = connect;
+    this.name = name;
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+    this.verbose = verbose;
+    this.state = 'connected';
+    this.attempt = 0;
+    this.reason = null;
+    this.lastError = null;
+    this.timer = null;
+  }
+
+  /**
+   * Report that the connection dropped and start reconnecting
+   * @param {string} reason - Why the connection was lost
+   */
+  connectionLost(reason) {
+    if (this.state !== 'connected') {
+      return;
+    }
+
+    this.state = 'reconnecting';
+    this.reason = reason;
+    this.attempt = 0;
+    this.lastError = null;
+
+    if (this.verbose) {
+      console.error(`🔌 ${this.name} connection lost (${reason}), reconnecting...`);
+    }
+    this.emit('lost', reason);
+    this._scheduleAttempt(this.initialDelay);
+  }
+
+  /**
+   * Throw a descriptive error unless the connection is usable
+   */
+  assertConnected() {
+    if (this.state === 'reconnecting') {
+      const lastError = this.lastError ? ` Last error: ${this.lastError.message}.` : '';
+      throw new Error(`The ${this.name} connection was lost (${this.reason}) and is being re-established (${this.attempt} attempt(s) so far).${lastError} Retry in a few seconds.`);
+    }
+    if (this.state === 'stopped') {
+      throw new Error(`The ${this.name} connection has been shut down`);
+    }
+  }
+
+  /**
+   * Stop supervising (e.g. on intentional shutdown)
+   */
+  stop() {
+    this.state = 'stopped';
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * Current supervisor status for status resources
+   * @returns {Object} State, attempt count and last error
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      reason: this.reason,
+      attempt: this.attempt,
+      lastError: this.lastError?.message || null
+    };
+  }
+
+  _scheduleAttempt(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._attempt(delay), delay);
+  }
+
+  async _attempt(delay) {
+    if (this.state !== 'reconnecting') {
+      return;
+    }
+
+    this.attempt++;
+    try {
+      const result = await this.connect();
+      if (this.state !== 'reconnecting') {
+        return;
+      }
+      this.state = 'connected';
+      this.lastError = null;
+      if (this.verbose) {
+        console.error(`✅ ${this.name} reconnected after ${this.attempt} attempt(s)`);
+      }
+      this.emit('reconnected', result);
+    } catch (error) {
+      this.lastError = error;
+      const nextDelay = Math.min(delay * 2, this.maxDelay);
+      if (this.verbose) {
+        console.error(`⏳ ${this.name} reconnect attempt ${this.attempt} failed: ${error.message} (retrying in ${nextDelay}ms)`);
+      }
+      this.emit('retry', error, nextDelay);
+      this._scheduleAttempt(nextDelay);
+    }
+  }
+}
@@ -0,0 +1,58 @@
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+
+/**
+ * Screenshots kept as browser://screenshots/{id} resources; the oldest are dropped first
+ */
+const MAX_STORED_SCREENSHOTS = 20;
+
+/**
+ * Register the browser://screenshots/{id} resources behind browser_screenshot's saveAsResource option
+ * @param {McpServer} server - MCP server instance
+ * @returns {Function} save(data, mimeType, description) storing a base64 image and returning its resource URI
+ */
+export function registerScreenshotResources(server) {
+  const screenshots = new Map();
+  let nextScreenshotId = 1;
+
+  server.registerResource(
+    'browser-screenshots',
+    new ResourceTemplate('browser://screenshots/{id}', {
+      list: async () => ({
+        resources: [...screenshots.entries()].map(([id, screenshot]) => ({
+          uri: `browser://screenshots/${id}`,
+          name: `Screenshot ${id}`,
+          description: screenshot.description,
+          mimeType: screenshot.mimeType
+        }))
+      })
+    }),
+    {
+      title: 'Screenshots',
+      description: 'Screenshots taken with browser_screenshot and saveAsResource: true'
+    },
+    async (uri, { id }) => {
+      const screenshot = screenshots.get(String(id));
+      if (!screenshot) {
+        throw new Error(`Unknown screenshot: ${uri.href}`);
+      }
+
+      return {
+        contents: [{
+          uri: uri.href,
+          mimeType: screenshot.mimeType,
+          blob: screenshot.data
+        }]
+      };
+    }
+  );
+
+  return (data, mimeType, description) => {
+    const id = String(nextScreenshotId++);
+    screenshots.set(id, { data, mimeType, description });
+    if (screenshots.size > MAX_STORED_SCREENSHOTS) {
+      screenshots.delete(screenshots.keys().next().value);
+    }
+    server.sendResourceListChanged();
+    return `browser://screenshots/${id}`;
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Hands each MCP client session its own BrowserContext inside one shared browser
+ * Contexts are created on first use, closed after sitting idle, and capped in number
+ */
+export class SessionManager {
+  /**
+   * @param {Object} options - Session manager options
+   * @param {Function} options.getBrowser - Async function returning the shared browser
+   * @param {number} [options.maxContexts] - Maximum number of concurrent session contexts (default: 10)
+   * @param {number} [options.idleTimeout] - Close contexts unused for this many milliseconds (default: 30 minutes)
+   * @param {Object} [options.contextOptions] - Options passed to browser.newContext()
+   * @param {boolean} [options.verbose] - Enable verbose logging
+   */
+  constructor({ getBrowser, maxContexts = 10, idleTimeout = 30 * 60 * 1000, contextOptions = {}, verbose = false }) {
+    this.getBrowser = getBrowser;
+    this.maxContexts = maxContexts;
+    this.idleTimeout = idleTimeout;
+    this.contextOptions = contextOptions;
+    this.verbose = verbose;
+    this.sessions = new Map();
+    this.pending = new Map();
+    // Bumped by forgetAll, so creations still in flight know their browser is gone
+    this.generation = 0;
+
+    // Don't keep the process alive just to expire sessions
+    this.timer = setInterval(() => this.sweep(), Math.min(idleTimeout / 2, 60 * 1000));
+    this.timer.unref();
+  }
+
+  /**
+   * Get the session's context and page, creating them on first use
+   * @param {string} sessionId - MCP session id
+   * @returns {Promise<Object>} Session ({ id, context, page, createdAt, lastUsed })
+   */
+  async acquire(sessionId) {
+    const existing = this.sessions.get(sessionId);
+    if (existing) {
+      existing.lastUsed = new Date();
+      return existing;
+    }
+
+    // Parallel tool calls of a new session share one context
+    if (!this.pending.has(sessionId)) {
+      const creation = this._create(sessionId).finally(() => {
+        if (this.pending.get(sessionId) === creation) {
+          this.pending.delete(sessionId);
+        }
+      });
+      this.pending.set(sessionId, creation);
+    }
+    return this.pending.get(sessionId);
+  }
+
+  /**
+   * Get an existing session without creating one
+   * @param {string} sessionId - MCP session id
+   * @returns {Object|null} Session, or null if it does not exist (or expired)
+   */
+  get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.lastUsed = new Date();
+    }
+    return session || null;
+  }
+
+  /**
+   * Change the session's current page (when switching tabs, etc.)
+   * @param {string} sessionId - MCP session id
+   * @param {Page} page - New current page
+   */
+  setPage(sessionId, page) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Unknown browser session: ${sessionId}`);
+    }
+    session.page = page;
+  }
+
+  /**
+   * Close a session's context
+   * @param {string} sessionId - MCP session id
+   */
+  async release(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    this.sessions.delete(sessionId);
+    try {
+      await session.context.close();
+    } catch (error) {
+      if (this.verbose) {
+        console.error(`⚠️  Error closing session ${sessionId}:`, error.message);
+      }
+    }
+    if (this.verbose) {
+      console.error(`🧹 Closed browser session ${sessionId}`);
+    }
+  }
+
+  /**
+   * Close sessions that have been idle longer than the idle timeout
+   */
+  async sweep() {
+    const now = Date.now();
+    const expired = [...this.sessions.values()].filter(session => now - session.lastUsed.getTime() > this.idleTimeout);
+    await Promise.all(expired.map(session => this.release(session.id)));
+  }
+
+  /**
+   * Close every session and stop expiring them
+   */
+  async closeAll() {
+    clearInterval(this.timer);
+    await Promise.all([...this.sessions.keys()].map(sessionId => this.release(sessionId)));
+  }
+
+  /**
+   * Drop every session without closing its context, once the browser it lived in
+   * has been replaced (e.g. after a reconnect); sessions get new contexts on their next call
+   */
+  forgetAll() {
+    this.generation++;
+    this.sessions.clear();
+    this.pending.clear();
+  }
+
+  /**
+   * Describe all sessions for status resources
+   * @returns {Promise<Array<Object>>} Session summaries
+   */
+  async list() {
+    const now = Date.now();
+    return Promise.all([...this.sessions.values()].map(async session => ({
+      id: session.id,
+      createdAt: session.createdAt.toISOString(),
+      lastUsed: session.lastUsed.toISOString(),
+      idleMs: now - session.lastUsed.getTime(),
+      expiresInMs: Math.max(0, this.idleTimeout - (now - session.lastUsed.getTime())),
+      pagesCount: session.context.pages().length,
+      currentUrl: session.page.isClosed() ? null : session.page.url(),
+      currentTitle: session.page.isClosed() ? null : await session.page.title().catch(() => null)
+    })));
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  async _create(sessionId) {
+    // Count sessions and other creations in flight, but not this one
+    const inUse = () => this.sessions.size + [...this.pending.keys()].filter(id => id !== sessionId).length;
+
+    if (inUse() >= this.maxContexts) {
+      await this.sweep();
+    }
+    if (inUse() >= this.maxContexts) {
+      throw new Error(`Too many concurrent browser sessions (limit ${this.maxContexts}). Wait for idle sessions to expire or raise the limit.`);
+    }
+
+    const { generation } = this;
+    const browser = await this.getBrowser();
+    const context = await browser.newContext(this.contextOptions);
+    const page = await context.newPage();
+    if (generation !== this.generation) {
+      await context.close().catch(() => {});
+      throw new Error('The browser was replaced while creating the session. Try again.');
+    }
+    const now = new Date();
+    const session = { id: sessionId, context, page, createdAt: now, lastUsed: now };
+
+    // Contexts die with the browser (e.g. on disconnect) - start fresh next time
+    context.once('close', () => {
+      if (this.sessions.get(sessionId) === session) {
+        this.sessions.delete(sessionId);
+      }
+    });
+
+    this.sessions.set(sessionId, session);
+    if (this.verbose) {
+      console.error(`🆕 Created browser session ${sessionId} (${this.sessions.size}/${this.maxContexts})`);
+    }
+    return session;
+  }
+}
@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+
+/**
+ * Injection regression tests for the direct CDP tools (no browser needed)
+ * A mock sendCommand runs Runtime.callFunctionOn functions against a fake DOM and
+ * records every command, so we can check that selectors and values only ever
+ * travel as data and never end up inside evaluated source text.
+ * The same fake page drives the actionability waits behind click, hover and fill.
+ */
+
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { DirectCDPClient } from '../src/utils/cdp-direct.js';
+import { registerDirectBrowserTools } from '../src/tools/direct-browser-tools.js';
+import { elementText } from '../src/utils/page-functions.js';
+
+const PAYLOADS = [
+  `a'); globalThis.pwned = true; ('`,
+  `a"); globalThis.pwned = true; ("`,
+  'a`); globalThis.pwned = true; (`',
+  `\${globalThis.pwned = true}`,
+  `a\\'); globalThis.pwned = true; //`,
+  `</script><script>globalThis.pwned = true</script>`,
+  `a\n'); globalThis.pwned = true; ('`
+];
+
+/**
+ * Fake page with one element, which records the selectors it is matched against
+ */
+function createPage() {
+  const queried = [];
+  const element = {
+    tagName: 'BUTTON',
+    id: 'target',
+    className: 'btn',
+    textContent: ' Click me ',
+    offsetParent: {},
+    isConnected: true,
+    scrollLeft: 0,
+    scrollTop: 0,
+    getBoundingClientRect: () => ({ left: 10, top: 20, width: 100, height: 40 }),
+    getAttribute: name => `value-of-${name}`,
+    matches: selector => {
+      queried.push(selector);
+      return true;
+    },
+    scrollTo(x, y) {
+      this.scrollLeft = x;
+      this.scrollTop = y;
+    }
+  };
+  const document = {
+    querySelectorAll: () => [element],
+    createDocumentFragment: () => ({ querySelector: () => null }),
+    elementFromPoint: () => element
+  };
+  const sandbox = {
+    document,
+    scrollX: 0,
+    scrollY: 0,
+    pwned: undefined,
+    getComputedStyle: () => ({ visibility: 'visible' }),
+    requestAnimationFrame: callback => setTimeout(callback, 0),
+    setTimeout
+  };
+  sandbox.window = sandbox;
+  sandbox.window.scrollTo = (x, y) => {
+    sandbox.scrollX = x;
+    sandbox.scrollY = y;
+  };
+  return { sandbox: vm.createContext(sandbox), queried, element };
+}
+
+/**
+ * Direct client whose sendCommand executes against the fake page
+ * Remote objects are kept in a handle table, like the real Runtime domain does
+ */
+function createMockClient(page) {
+  const client = new DirectCDPClient();
+  client.connected = true;
+  client.commands = [];
+  const handles = new Map();
+  let nextHandle = 1;
+
+  client.sendCommand = async (method, params = {}) => {
+    client.commands.push({ method, params });
+
+    switch (method) {
+      case 'Runtime.evaluate':
+        // Only ever used to get a handle to the global object
+        assert.equal(params.expression, 'globalThis');
+        handles.set(`global-${nextHandle}`, page.sandbox);
+        return { result: { type: 'object', objectId: `global-${nextHandle++}` } };
+      case 'Runtime.callFunctionOn': {
+        assert.ok(handles.has(params.objectId), `unknown object ${params.objectId}`);
+        const fn = vm.runInContext(`(${params.functionDeclaration})`, page.sandbox);
+        try {
+          const value = await fn.apply(handles.get(params.objectId), params.arguments.map(argument => argument.value));
+          if (params.returnByValue) {
+            return { result: { type: typeof value, value } };
+          }
+          if (value === null) {
+            return { result: { type: 'object', subtype: 'null', value: null } };
+          }
+          handles.set(`object-${nextHandle}`, value);
+          return { result: { type: 'object', objectId: `object-${nextHandle++}` } };
+        } catch (error) {
+          return { result: {}, exceptionDetails: { text: 'Uncaught', exception: { description: `Error: ${error.message}` } } };
+        }
+      }
+      case 'Runtime.releaseObject':
+        handles.delete(params.objectId);
+        return {};
+      case 'DOM.getContentQuads': {
+        const { left, top, width, height } = handles.get(params.objectId).getBoundingClientRect();
+        const [right, bottom] = [left + width, top + height];
+        return { quads: [[left, top, right, top, right, bottom, left, bottom]] };
+      }
+      default:
+        return {};
+    }
+  };
+  return client;
+}
+
+/**
+ * Assert that no command carried the payload inside source text
+ */
+function assertPassedAsData(client, payload) {
+  for (const { method, params } of client.commands) {
+    if (method === 'Runtime.evaluate') {
+      assert.ok(!params.expression.includes(payload), `${method} expression contains the payload`);
+    }
+    if (method === 'Runtime.callFunctionOn') {
+      assert.ok(!params.functionDeclaration.includes(payload), `${method} function contains the payload`);
+    }
+  }
+}
+
+/**
+ * Call a registered tool and parse its JSON result
+ */
+async function callTool(server, name, args) {
+  const result = await server._registeredTools[name].callback(args, {});
+  return JSON.parse(result.content[0].text);
+}
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.stack}`);
+    failed++;
+  }
+}
+
+console.log('🧪 Testing direct CDP tools against selector injection...\n');
+
+for (const payload of PAYLOADS) {
+  const label = JSON.stringify(payload);
+
+  await test(`click passes ${label} as data`, async () => {
+    const page = createPage();
+    const client = createMockClient(page);
+
+    await client.click(payload);
+
+    assert.deepEqual(page.queried, [payload]);
+    assert.equal(page.sandbox.pwned, undefined);
+    assertPassedAsData(client, payload);
+    const mouse = client.commands.filter(command => command.method === 'Input.dispatchMouseEvent');
+    assert.deepEqual(mouse.map(command => [command.params.x, command.params.y]), [[60, 40], [60, 40]]);
+  });
+
+  await test(`direct tools pass ${label} as data`, async () => {
+    const page = createPage();
+    const client = createMockClient(page);
+    const server = new McpServer({ name: 'injection-test', version: '1.0.0' });
+    registerDirectBrowserTools(server, async () => client, async () => [], async () => true, async () => {});
+
+    const hover = await callTool(server, 'browser_hover', { selector: payload });
+    assert.deepEqual(hover.coordinates, { x: 60, y: 40 });
+
+    const found = await callTool(server, 'browser_find_elements', { selector: payload, limit: 5 });
+    assert.equal(found.count, 1);
+
+    const text = await callTool(server, 'browser_get_text', { selector: payload });
+    assert.equal(text.text, ' Click me ');
+
+    const attribute = await callTool(server, 'browser_get_attribute', { selector: payload, attribute: payload });
+    assert.equal(attribute.value, `value-of-${payload}`);
+
+    const waited = await callTool(server, 'browser_wait_for', { selector: payload, timeout: 1000 });
+    assert.equal(waited.found, true);
+
+    const scrolled = await callTool(server, 'browser_scroll', { selector: payload, x: 5, y: 7 });
+    assert.deepEqual(scrolled.position, { scrollLeft: 5, scrollTop: 7 });
+
+    assert.ok(page.queried.length >= 6);
+    assert.ok(page.queried.every(selector => selector === payload));
+    assert.equal(page.sandbox.pwned, undefined);
+    assertPassedAsData(client, payload);
+  });
+}
+
+await test('page exceptions surface as errors', async () => {
+  const page = createPage();
+  page.sandbox.document.querySelectorAll = () => [];
+  const client = createMockClient(page);
+
+  await assert.rejects(client.callFunction(elementText, ['#missing']), /Element not found: #missing/);
+});
+
+await test('click waits for a missing element, then times out', async () => {
+  const page = createPage();
+  page.sandbox.document.querySelectorAll = () => [];
+  const client = createMockClient(page);
+
+  await assert.rejects(
+    client.click('#missing', { timeout: 200 }),
+    /Timed out after 200ms waiting for "#missing" to be actionable: element not found/
+  );
+});
+
+await test('click checks once more at the deadline instead of giving up early', async () => {
+  const page = createPage();
+  const appearsAt = Date.now() + 330;
+  page.sandbox.document.querySelectorAll = () => (Date.now() >= appearsAt ? [page.element] : []);
+  const client = createMockClient(page);
+
+  // Without the last check the 500ms backoff step would time out at about 270ms
+  assert.deepEqual(await client.click('#target', { timeout: 400 }), { x: 60, y: 40 });
+});
+
+await test('click names the element covering its target', async () => {
+  const page = createPage();
+  const banner = { id: '', nodeType: 1, tagName: 'P', className: 'text' };
+  banner.parentElement = banner.parentNode = { id: 'cookie-banner', nodeType: 1, tagName: 'DIV', parentElement: null, parentNode: null };
+  page.sandbox.document.elementFromPoint = () => banner;
+  const client = createMockClient(page);
+
+  await assert.rejects(client.click('#target', { timeout: 200 }), /element is covered by #cookie-banner/);
+  assert.equal(client.commands.filter(command => command.method === 'Input.dispatchMouseEvent').length, 0);
+});
+
+await test('click waits for an element to stop moving', async () => {
+  const page = createPage();
+  let left = 0;
+  page.element.getBoundingClientRect = () => ({ left: left < 40 ? left += 10 : left, top: 20, width: 100, height: 40 });
+  const client = createMockClient(page);
+
+  const point = await client.click('#target', { timeout: 2000 });
+  assert.deepEqual(point, { x: 90, y: 40 });
+  assert.equal(page.sandbox.pwned, undefined);
+});
+
+await test('navigate turns lifecycle events off once the last navigation is done', async () => {
+  const client = createMockClient(createPage());
+  const sendCommand = client.sendCommand;
+  client.sendCommand = async (method, params) => {
+    const result = await sendCommand(method, params);
+    if (method === 'Page.getFrameTree') {
+      return { frameTree: { frame: { id: 'main' } } };
+    }
+    // Same-document navigations return without waiting for lifecycle events
+    return method === 'Page.navigate' ? { loaderId: null } : result;
+  };
+  const lifecycle = () => client.commands
+    .filter(command => command.method === 'Page.setLifecycleEventsEnabled')
+    .map(command => command.params.enabled);
+
+  await Promise.all([client.navigate('#a'), client.navigate('#b')]);
+  assert.deepEqual(lifecycle(), [true, true, false]);
+  await client.navigate('#c');
+  assert.deepEqual(lifecycle(), [true, true, false, true, false]);
+  assert.equal(client.isDomainEnabled('Page'), false);
+});
+
+await test('releases every remote object it creates', async () => {
+  const page = createPage();
+  const client = createMockClient(page);
+
+  await client.click('#target');
+  await new Promise(resolve => setImmediate(resolve));
+  const created = client.commands.filter(command => command.method === 'Runtime.evaluate').length +
+    client.commands.filter(command => command.method === 'Runtime.callFunctionOn' && !command.params.returnByValue).length;
+  assert.equal(client.commands.filter(command => command.method === 'Runtime.releaseObject').length, created);
+});
+
+await test('refs resolve to their data attribute and reject anything else', async () => {
+  const page = createPage();
+  const client = createMockClient(page);
+  const server = new McpServer({ name: 'injection-test', version: '1.0.0' });
+  registerDirectBrowserTools(server, async () => client, async () => [], async () => true, async () => {});
+
+  const hover = await callTool(server, 'browser_hover', { ref: 'e12' });
+  assert.equal(hover.ref, 'e12');
+  assert.deepEqual(page.queried, ['[data-mcp-ref="e12"]']);
+
+  for (const payload of PAYLOADS) {
+    const result = await server._registeredTools.browser_hover.callback({ ref: payload }, {}).catch(error => error);
+    assert.match(result.message, /Invalid ref/);
+  }
+  assert.equal(page.queried.length, 1);
+});
+
+await test('>> chains reach elements inside shadow roots', async () => {
+  const page = createPage();
+  const host = {
+    matches: selector => selector === 'my-app[title="a >> b"]',
+    querySelectorAll: () => [],
+    shadowRoot: { querySelectorAll: () => [page.element] }
+  };
+  page.sandbox.document.querySelectorAll = () => [host];
+  page.element.matches = selector => {
+    page.queried.push(selector);
+    return selector === 'button.save';
+  };
+  const client = createMockClient(page);
+
+  assert.equal(await client.callFunction(elementText, ['my-app[title="a >> b"] >> button.save']), ' Click me ');
+  assert.deepEqual(page.queried, ['my-app[title="a >> b"]', 'button.save']);
+  await assert.rejects(client.callFunction(elementText, ['my-app >>']), /Invalid selector: my-app >>/);
+});
+
+await test('page scroll works without a selector', async () => {
+  const page = createPage();
+  const client = createMockClient(page);
+  const server = new McpServer({ name: 'injection-test', version: '1.0.0' });
+  registerDirectBrowserTools(server, async () => client, async () => [], async () => true, async () => {});
+
+  const scrolled = await callTool(server, 'browser_scroll', { y: 300 });
+  assert.deepEqual(scrolled.position, { scrollLeft: 0, scrollTop: 300 });
+  assert.deepEqual(page.queried, []);
+});
+
+await test('select_option picks options by value, label or index and fires input and change', async () => {
+  const page = createPage();
+  const events = [];
+  page.sandbox.HTMLSelectElement = class {};
+  page.sandbox.Event = Event;
+  const select = Object.assign(new page.sandbox.HTMLSelectElement(), {
+    multiple: false,
+    options: [{ value: 'a', label: 'Apple' }, { value: 'b', label: 'Banana' }, { value: 'c', label: 'Cherry' }],
+    matches: selector => {
+      page.queried.push(selector);
+      return true;
+    },
+    dispatchEvent: event => events.push(`${event.type}:${event.bubbles}`)
+  });
+  page.sandbox.document.querySelectorAll = () => [select];
+  const client = createMockClient(page);
+  const server = new McpServer({ name: 'injection-test', version: '1.0.0' });
+  registerDirectBrowserTools(server, async () => client, async () => [], async () => true, async () => {});
+
+  const byLabel = await callTool(server, 'browser_select_option', { ref: 'e3', label: 'Banana' });
+  assert.deepEqual(byLabel.selectedValues, ['b']);
+  assert.deepEqual(select.options.map(option => option.selected), [false, true, false]);
+  assert.deepEqual(events, ['input:true', 'change:true']);
+  assert.deepEqual(page.queried, ['[data-mcp-ref="e3"]']);
+
+  select.multiple = true;
+  const byIndex = await callTool(server, 'browser_select_option', { selector: 'select', index: [0, 2] });
+  assert.deepEqual(byIndex.selectedValues, ['a', 'c']);
+
+  await assert.rejects(
+    server._registeredTools.browser_select_option.callback({ selector: 'select', value: 'x' }, {}),
+    /No option matches in select/
+  );
+  page.sandbox.document.querySelectorAll = () => [page.element];
+  await assert.rejects(
+    server._registeredTools.browser_select_option.callback({ selector: '#target', value: 'a' }, {}),
+    /Element is not a <select> element: #target/
+  );
+});
+
+console.log(`\n📊 ${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -138,14 +138,14 @@ async function testBrowserConnection() {
     
     let browser;
     try {
-      browser = await attachToRunningBrowser({ 
+      ({ browser } = await attachToRunningBrowser({ 
         brand: 'detect', 
         verbose: true 
-      });
+      }));
       console.log('✅ Successfully attached to running browser');
     } catch (attachError) {
       console.log('⚠️  No running browser found, launching new instance...');
-      browser = await launchBrowser('detect', true);
+      ({ browser } = await launchBrowser('detect', { verbose: true }));
       console.log('✅ Successfully launched new browser');
     }
 
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for the pure helpers behind the tools (no browser needed)
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { connectionFromEndpoint, createConnection, devToolsHeaders, isLoopbackHost, rewriteWebSocketUrl } from '../src/utils/cdp-http.js';
+import { ConnectionSupervisor } from '../src/utils/reconnect.js';
+import { SessionManager } from '../src/utils/session-manager.js';
+import { MAX_SCAN_PORTS, parsePortRange, readDevToolsActivePort } from '../src/utils/discovery.js';
+import { MODIFIER_BITS, describeKey, modifierMask, parseKeyCombo } from '../src/utils/keyboard-layout.js';
+import { ConsoleBuffer } from '../src/utils/console-buffer.js';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.stack}`);
+    failed++;
+  }
+}
+
+console.log('🧪 Testing pure helpers...\n');
+
+await test('remote hosts get a localhost Host header, loopback and IP hosts none', () => {
+  assert.ok(isLoopbackHost('localhost') && isLoopbackHost('127.0.0.1') && isLoopbackHost('::1'));
+  assert.ok(!isLoopbackHost('devbox.internal'));
+  assert.deepEqual(devToolsHeaders(createConnection({ host: 'localhost', port: 9222 })), {});
+  assert.deepEqual(devToolsHeaders(createConnection({ host: '10.0.0.5', port: 9222 })), {});
+  assert.deepEqual(devToolsHeaders(createConnection({ host: 'devbox.internal', port: 9333 })), { Host: 'localhost:9333' });
+});
+
+await test('browser WebSocket URLs are pointed at the host that was reached', () => {
+  const tunnel = createConnection({ host: 'devbox.internal', port: 19222 });
+  assert.equal(
+    rewriteWebSocketUrl('ws://127.0.0.1:9222/devtools/browser/abc', tunnel),
+    'ws://devbox.internal:19222/devtools/browser/abc'
+  );
+  // A local browser on the port we asked for is left alone
+  const local = createConnection({ host: 'localhost', port: 9222 });
+  assert.equal(rewriteWebSocketUrl('ws://127.0.0.1:9222/devtools/page/1', local), 'ws://127.0.0.1:9222/devtools/page/1');
+  assert.equal(rewriteWebSocketUrl('ws://other.host:9222/devtools/page/1', tunnel), 'ws://other.host:9222/devtools/page/1');
+  assert.equal(rewriteWebSocketUrl(undefined, tunnel), undefined);
+});
+
+await test('explicit endpoints become connection descriptors', () => {
+  const connection = connectionFromEndpoint('ws://devbox:9222/devtools/browser/abc');
+  assert.equal(connection.host, 'devbox');
+  assert.equal(connection.port, 9222);
+  assert.equal(connection.wsEndpoint, 'ws://devbox:9222/devtools/browser/abc');
+  assert.equal(connection.brand, 'chrome');
+  assert.equal(connection.endpoint, 'ws://devbox:9222/devtools/browser/abc');
+  assert.equal(connectionFromEndpoint('https://cdp.example.com').port, 443);
+  const firefox = connectionFromEndpoint('ws://localhost:9222/session');
+  assert.equal(firefox.protocol, 'webdriver-bidi');
+  assert.equal(firefox.brand, 'firefox');
+});
+
+await test('reconnects back off exponentially up to the maximum delay', async () => {
+  let calls = 0;
+  const supervisor = new ConnectionSupervisor({
+    name: 'Test',
+    initialDelay: 5,
+    maxDelay: 20,
+    connect: async () => {
+      calls++;
+      if (calls < 4) {
+        throw new Error(`refused ${calls}`);
+      }
+      return 'socket';
+    }
+  });
+  const delays = [];
+  supervisor.on('retry', (error, delay) => delays.push(delay));
+  const reconnected = new Promise(resolve => supervisor.once('reconnected', resolve));
+
+  supervisor.connectionLost('socket closed');
+  supervisor.connectionLost('ignored while reconnecting');
+  assert.throws(() => supervisor.assertConnected(), /Test connection was lost \(socket closed\)/);
+
+  assert.equal(await reconnected, 'socket');
+  assert.deepEqual(delays, [10, 20, 20]);
+  assert.equal(calls, 4);
+  assert.deepEqual(supervisor.getStatus(), { state: 'connected', reason: 'socket closed', attempt: 4, lastError: null });
+  supervisor.assertConnected();
+});
+
+await test('reconnect errors report the last failure, and stop() ends retrying', async () => {
+  let calls = 0;
+  const supervisor = new ConnectionSupervisor({
+    initialDelay: 5,
+    connect: async () => {
+      calls++;
+      throw new Error('ECONNREFUSED');
+    }
+  });
+  const retried = new Promise(resolve => supervisor.once('retry', resolve));
+
+  supervisor.connectionLost('browser disconnected');
+  await retried;
+  assert.throws(() => supervisor.assertConnected(), /1 attempt\(s\) so far\). Last error: ECONNREFUSED/);
+
+  supervisor.stop();
+  const attempts = calls;
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(calls, attempts);
+  assert.throws(() => supervisor.assertConnected(), /has been shut down/);
+});
+
+await test('forgotten sessions get contexts in the new browser without closing the old ones', async () => {
+  const closed = [];
+  let release;
+  const fakeBrowser = (name, ready = Promise.resolve()) => ({
+    newContext: async () => ({
+      name,
+      once: () => {},
+      newPage: async () => {
+        await ready;
+        return {};
+      },
+      close: async () => closed.push(name)
+    })
+  });
+  let browser = fakeBrowser('old');
+  const sessions = new SessionManager({ getBrowser: async () => browser });
+
+  assert.equal((await sessions.acquire('a')).context.name, 'old');
+  browser = fakeBrowser('old', new Promise(resolve => { release = resolve; }));
+  const inFlight = sessions.acquire('b');
+  await new Promise(resolve => setImmediate(resolve));
+
+  browser = fakeBrowser('new');
+  sessions.forgetAll();
+  assert.equal(sessions.get('a'), null);
+  assert.equal((await sessions.acquire('a')).context.name, 'new');
+  release();
+  await assert.rejects(inFlight, /The browser was replaced while creating the session/);
+  assert.equal((await sessions.acquire('b')).context.name, 'new');
+  assert.deepEqual(closed, ['old']);
+
+  await sessions.closeAll();
+  assert.deepEqual(closed, ['old', 'new', 'new']);
+});
+
+await test('DevToolsActivePort files give the port and browser path', async () => {
+  const userDataDir = await mkdtemp(path.join(os.tmpdir(), 'any-browser-mcp-test-'));
+  const file = path.join(userDataDir, 'DevToolsActivePort');
+  try {
+    assert.equal(await readDevToolsActivePort(userDataDir), null);
+
+    await writeFile(file, '41234\n/devtools/browser/1b2c3d\n');
+    const active = await readDevToolsActivePort(userDataDir);
+    assert.equal(active.port, 41234);
+    assert.equal(active.browserPath, '/devtools/browser/1b2c3d');
+    assert.ok(active.modified instanceof Date);
+
+    await writeFile(file, '9222\r\n');
+    assert.equal((await readDevToolsActivePort(userDataDir)).browserPath, null);
+
+    for (const content of ['', 'not-a-port\n/devtools/browser/x', '0\n', '70000\n']) {
+      await writeFile(file, content);
+      assert.equal(await readDevToolsActivePort(userDataDir), null, JSON.stringify(content));
+    }
+  } finally {
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+await test('port ranges are parsed and bounded', () => {
+  assert.deepEqual(parsePortRange('9222-9300'), { start: 9222, end: 9300 });
+  assert.deepEqual(parsePortRange(' 9229 '), { start: 9229, end: 9229 });
+  assert.deepEqual(parsePortRange(9230), { start: 9230, end: 9230 });
+  assert.throws(() => parsePortRange('9300-9222'), /Invalid port range/);
+  assert.throws(() => parsePortRange('0-10'), /Invalid port range/);
+  assert.throws(() => parsePortRange('65535-65536'), /Invalid port range/);
+  assert.throws(() => parsePortRange('abc'), /expected e.g. 9222-9300/);
+  assert.throws(() => parsePortRange(`1000-${1000 + MAX_SCAN_PORTS}`), /too large/);
+  assert.deepEqual(parsePortRange(`1000-${1000 + MAX_SCAN_PORTS - 1}`), { start: 1000, end: 1000 + MAX_SCAN_PORTS - 1 });
+});
+
+await test('key combos split into modifiers and a key', () => {
+  assert.deepEqual(parseKeyCombo('Control+Shift+T', 'linux'), { modifiers: ['Control', 'Shift'], key: 'T' });
+  assert.deepEqual(parseKeyCombo('ControlOrMeta+A', 'darwin'), { modifiers: ['Meta'], key: 'A' });
+  assert.deepEqual(parseKeyCombo('ControlOrMeta+A', 'win32'), { modifiers: ['Control'], key: 'A' });
+  assert.deepEqual(parseKeyCombo('Control++', 'linux'), { modifiers: ['Control'], key: '+' });
+  assert.deepEqual(parseKeyCombo('+', 'linux'), { modifiers: [], key: '+' });
+  assert.throws(() => parseKeyCombo('Control+', 'linux'), /Missing key/);
+  assert.throws(() => parseKeyCombo('Hyper+A', 'linux'), /Unknown modifier "Hyper"/);
+  assert.throws(() => parseKeyCombo('Control+Nope', 'linux'), /Unknown key "Nope"/);
+});
+
+await test('modifier masks combine the CDP modifier bits', () => {
+  assert.equal(modifierMask([]), 0);
+  assert.equal(modifierMask(['Alt', 'Control', 'Meta', 'Shift']), 15);
+  assert.equal(modifierMask(new Set(['Shift', 'Control'])), MODIFIER_BITS.Shift | MODIFIER_BITS.Control);
+});
+
+await test('keys resolve by name, code and shifted character', () => {
+  assert.deepEqual(describeKey('Enter', 0, 'linux'), { key: 'Enter', code: 'Enter', keyCode: 13, text: '\r', location: 0, commands: [] });
+  assert.equal(describeKey('KeyA', MODIFIER_BITS.Shift, 'linux').key, 'A');
+  assert.equal(describeKey('1', MODIFIER_BITS.Shift, 'linux').text, '!');
+  assert.deepEqual(describeKey('!', 0, 'linux'), { key: '!', code: 'Digit1', keyCode: 49, text: '!', location: 0, commands: [] });
+  assert.equal(describeKey('ShiftRight', 0, 'linux').location, 2);
+  assert.equal(describeKey('Numpad5', 0, 'linux').location, 3);
+  assert.throws(() => describeKey('Nope'), /Unknown key "Nope"/);
+});
+
+await test('shortcuts type no text', () => {
+  assert.equal(describeKey('a', MODIFIER_BITS.Control, 'linux').text, '');
+  assert.equal(describeKey('a', MODIFIER_BITS.Alt, 'linux').text, '');
+  assert.equal(describeKey('a', MODIFIER_BITS.Shift, 'linux').text, 'A');
+});
+
+await test('Meta editing commands are only sent on macOS', () => {
+  assert.deepEqual(describeKey('a', MODIFIER_BITS.Meta, 'darwin').commands, ['selectAll']);
+  assert.deepEqual(describeKey('KeyZ', MODIFIER_BITS.Meta | MODIFIER_BITS.Shift, 'darwin').commands, ['redo']);
+  assert.deepEqual(describeKey('v', MODIFIER_BITS.Control, 'darwin').commands, []);
+  assert.deepEqual(describeKey('a', MODIFIER_BITS.Meta, 'linux').commands, []);
+  assert.deepEqual(describeKey('c', MODIFIER_BITS.Meta, 'win32').commands, []);
+});
+
+await test('console buffers keep the most recent entries', () => {
+  const buffer = new ConsoleBuffer(3);
+  for (let i = 1; i <= 5; i++) {
+    buffer.push({ type: 'log', text: `message ${i}` });
+  }
+
+  const { entries, cursor, omitted, dropped } = buffer.read();
+  assert.deepEqual(entries.map(entry => entry.id), [3, 4, 5]);
+  assert.deepEqual(entries.map(entry => entry.text), ['message 3', 'message 4', 'message 5']);
+  assert.equal(cursor, 5);
+  assert.equal(omitted, 0);
+  assert.equal(dropped, 0);
+  assert.equal(buffer.read({ limit: 2 }).omitted, 1);
+  assert.deepEqual(buffer.read({ limit: 2 }).entries.map(entry => entry.id), [4, 5]);
+});
+
+await test('console cursors return only newer entries and count evicted ones', () => {
+  const buffer = new ConsoleBuffer(3);
+  buffer.push({ type: 'log', text: 'first' });
+  const { cursor } = buffer.read();
+  assert.deepEqual(buffer.read({ since: cursor }).entries, []);
+
+  for (let i = 0; i < 4; i++) {
+    buffer.push({ type: 'log', text: `later ${i}` });
+  }
+  // Ids 1 and 2 were evicted; only 2 came after the cursor
+  const result = buffer.read({ since: cursor });
+  assert.deepEqual(result.entries.map(entry => entry.id), [3, 4, 5]);
+  assert.equal(result.dropped, 1);
+  assert.equal(result.cursor, 5);
+});
+
+await test('console levels and text filter entries', () => {
+  const buffer = new ConsoleBuffer();
+  buffer.push({ type: 'debug', text: 'verbose' });
+  buffer.push({ type: 'log', text: 'Loaded app' });
+  buffer.push({ type: 'warning', text: 'Deprecated API' });
+  buffer.push({ type: 'assert', text: 'Assertion failed' });
+  buffer.push({ type: 'pageerror', text: 'TypeError: x is undefined', stack: 'TypeError: x is undefined\n    at app.js:1' });
+
+  assert.deepEqual(buffer.read().entries.map(entry => entry.level), ['debug', 'info', 'warning', 'error', 'error']);
+  assert.deepEqual(buffer.read({ level: 'warning' }).entries.map(entry => entry.type), ['warning', 'assert', 'pageerror']);
+  assert.deepEqual(buffer.read({ text: 'typeerror' }).entries.map(entry => entry.id), [5]);
+  assert.ok(buffer.read({ level: 'error' }).entries[1].stack.includes('app.js'));
+});
+
+await test('clearing a console buffer keeps the cursor and is not reported as dropped', () => {
+  const buffer = new ConsoleBuffer(3);
+  buffer.push({ type: 'log', text: 'one' });
+  buffer.push({ type: 'log', text: 'two' });
+
+  const cleared = buffer.read({ clear: true });
+  assert.equal(cleared.entries.length, 2);
+  assert.deepEqual(buffer.read().entries, []);
+
+  buffer.push({ type: 'log', text: 'three' });
+  const afterClear = buffer.read({ since: 1 });
+  assert.deepEqual(afterClear.entries.map(entry => entry.id), [3]);
+  assert.equal(afterClear.dropped, 0);
+
+  // Evictions after a clear are still counted
+  for (let i = 0; i < 4; i++) {
+    buffer.push({ type: 'log', text: `more ${i}` });
+  }
+  const afterEviction = buffer.read({ since: cleared.cursor });
+  assert.deepEqual(afterEviction.entries.map(entry => entry.id), [5, 6, 7]);
+  assert.equal(afterEviction.dropped, 2);
+});
+
+console.log(`\n📊 ${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);